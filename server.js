@@ -15,23 +15,52 @@ app.use(express.static('public'));
 // Initialize agent system
 const agentSystem = new AgentSystem();
 
+// Reject a task because the queue is full, telling the client when to try again
+function sendQueueFull(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+}
+
+// Interval between the comments that keep idle SSE streams open
+const heartbeatMs = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+
 // SSE endpoint for agent responses
+// ?taskId=... only streams the events of one task
+// Clients that reconnect with a Last-Event-ID header (or ?lastEventId=...) get the events they missed
 app.get('/api/agent-stream', (req, res) => {
+  const { taskId } = req.query;
+  if (taskId && !agentSystem.tasks.has(taskId)) {
+    return res.status(404).json({ error: `Task ${taskId} not found` });
+  }
+  
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  
+  const lastEventIdValue = req.get('Last-Event-ID') || req.query.lastEventId;
+  const lastEventId = lastEventIdValue !== undefined ? parseInt(lastEventIdValue, 10) : null;
   
   // Function to send SSE data
   const sendSSE = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    res.write(`id: ${data.id}\ndata: ${JSON.stringify(data)}\n\n`);
   };
   
-  // Register the response object with the agent system
-  const clientId = Date.now().toString();
-  agentSystem.registerClient(clientId, sendSSE);
+  // Register the response object with the agent system, replaying missed events first
+  const clientId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  agentSystem.registerClient(clientId, sendSSE, {
+    taskId,
+    lastEventId: Number.isNaN(lastEventId) ? null : lastEventId
+  });
+  
+  // Comments are ignored by EventSource but keep proxies from closing the stream
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, heartbeatMs);
   
   // Handle client disconnect
   req.on('close', () => {
+    clearInterval(heartbeat);
     agentSystem.unregisterClient(clientId);
   });
 });
@@ -39,19 +68,151 @@ app.get('/api/agent-stream', (req, res) => {
 // API endpoint to start a new agent task
 app.post('/api/start-task', async (req, res) => {
   try {
-    const { prompt, tools = [] } = req.body;
+    const { prompt, tools = [], agentConfig, site, persona, maxCost, pipeline, skipPhases, maxRounds, priority, keepBrowserSession, timeoutMs, onTimeout } = req.body;
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
     
-    const taskId = await agentSystem.startTask(prompt, tools);
-    res.json({ taskId });
+    const options = { agentConfig, site, persona, maxCost, pipeline, skipPhases, maxRounds, priority, keepBrowserSession, timeoutMs, onTimeout };
+    try {
+      agentSystem.validateTaskOptions(options, tools);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const taskId = await agentSystem.startTask(prompt, tools, options);
+    res.json({ taskId, queuePosition: agentSystem.queue.position(taskId) });
   } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error);
+    }
+    if (error.code === 'TASK_VETOED') {
+      return res.status(403).json({ error: error.message });
+    }
     console.error('Error starting task:', error);
     res.status(500).json({ error: 'Failed to start task' });
   }
 });
 
+// API endpoint to list the pipelines tasks can run
+app.get('/api/pipelines', (req, res) => {
+  res.json({
+    defaultPipeline: agentSystem.pipelines.defaultPipeline,
+    pipelines: agentSystem.pipelines.list()
+  });
+});
+
+// API endpoint to show the task queue
+app.get('/api/queue', (req, res) => {
+  res.json(agentSystem.queue.getSummary());
+});
+
+// API endpoint to list every task, including tasks restored after a restart
+app.get('/api/tasks', (req, res) => {
+  res.json({ tasks: agentSystem.listTasks() });
+});
+
+// API endpoint to cancel a task
+app.post('/api/task/:taskId/cancel', async (req, res) => {
+  const { taskId } = req.params;
+  if (!agentSystem.tasks.has(taskId)) {
+    return res.status(404).json({ error: `Task ${taskId} not found` });
+  }
+  
+  try {
+    await agentSystem.cancelTask(taskId);
+    res.json({ taskId });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoints to approve or reject the tool call a task is waiting on
+// The body may name the approval ({ approvalId }) and explain the decision ({ note })
+['approve', 'reject'].forEach(action => {
+  app.post(`/api/task/:taskId/${action}`, async (req, res) => {
+    const { taskId } = req.params;
+    if (!agentSystem.tasks.has(taskId)) {
+      return res.status(404).json({ error: `Task ${taskId} not found` });
+    }
+    
+    try {
+      const { approvalId, note } = req.body || {};
+      await agentSystem.decideApproval(taskId, action === 'approve', { approvalId, note });
+      res.json({ taskId });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+});
+
+// API endpoint to pause a running task at its next tool call or phase
+app.post('/api/task/:taskId/pause', async (req, res) => {
+  const { taskId } = req.params;
+  if (!agentSystem.tasks.has(taskId)) {
+    return res.status(404).json({ error: `Task ${taskId} not found` });
+  }
+  
+  try {
+    await agentSystem.pauseTask(taskId);
+    res.json({ taskId });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoint to resume a paused or interrupted task
+app.post('/api/task/:taskId/resume', async (req, res) => {
+  const { taskId } = req.params;
+  if (!agentSystem.tasks.has(taskId)) {
+    return res.status(404).json({ error: `Task ${taskId} not found` });
+  }
+  
+  try {
+    await agentSystem.resumeTask(taskId);
+    res.json({ taskId });
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      return sendQueueFull(res, error);
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoint to download an artifact of a task
+app.get('/api/task/:taskId/artifacts/:name', async (req, res) => {
+  try {
+    const { taskId, name } = req.params;
+    const data = await agentSystem.taskStore.loadArtifact(taskId, name);
+    if (!data) {
+      return res.status(404).json({ error: `Artifact ${name} not found` });
+    }
+    
+    res.type(name.split('.').pop());
+    res.send(data);
+  } catch (error) {
+    console.error('Error loading artifact:', error);
+    res.status(500).json({ error: 'Failed to load artifact' });
+  }
+});
+
+// API endpoint to download the trace of a task, one JSON span per line
+app.get('/api/task/:taskId/trace', async (req, res) => {
+  const { taskId } = req.params;
+  if (!agentSystem.tasks.has(taskId)) {
+    return res.status(404).json({ error: `Task ${taskId} not found` });
+  }
+  
+  try {
+    const spans = await agentSystem.getTaskTrace(taskId);
+    res.type('application/x-ndjson');
+    res.send(spans.map(span => `${JSON.stringify(span)}\n`).join(''));
+  } catch (error) {
+    console.error('Error loading trace:', error);
+    res.status(500).json({ error: 'Failed to load trace' });
+  }
+});
+
 // API endpoint to check task status
 app.get('/api/task/:taskId', async (req, res) => {
   try {
@@ -64,9 +225,29 @@ app.get('/api/task/:taskId', async (req, res) => {
   }
 });
 
-// Start the server
-app.listen(port, () => {
-  console.log(`Multi-agent system server running on port ${port}`);
-  console.log(`SSE endpoint available at http://localhost:${port}/api/agent-stream`);
-  console.log(`API endpoint to start tasks at http://localhost:${port}/api/start-task`);
+// Stop the browser sessions of running tasks before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`Received ${signal}, stopping browser sessions...`);
+    agentSystem.close().finally(() => process.exit(0));
+  });
 });
+
+// Reload saved tasks, then start the server
+agentSystem.restoreTasks()
+  .catch(error => {
+    console.error('Failed to restore tasks:', error);
+    return [];
+  })
+  .then(interrupted => {
+    app.listen(port, () => {
+      console.log(`Multi-agent system server running on port ${port}`);
+      console.log(`SSE endpoint available at http://localhost:${port}/api/agent-stream`);
+      console.log(`API endpoint to start tasks at http://localhost:${port}/api/start-task`);
+      
+      if (interrupted.length > 0) {
+        console.log(`${interrupted.length} interrupted task(s) can be resumed from the web interface or with POST /api/task/:taskId/resume:`);
+        interrupted.forEach(taskId => console.log(`  ${taskId}`));
+      }
+    });
+  });
@@ -0,0 +1,53 @@
+/**
+ * Create the error an aborted operation fails with
+ * @param {string} message - The error message
+ * @returns {Error} - An error named AbortError, like the one fetch throws
+ */
+function createAbortError(message = 'The operation was aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Create the error a phase, tool call or task fails with when it runs out of time
+ * @param {string} message - The error message
+ * @param {string} code - What ran out of time (PHASE_TIMEOUT, TOOL_TIMEOUT or TASK_DEADLINE)
+ * @returns {Error} - An error named TimeoutError with the code
+ */
+function createTimeoutError(message, code) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * Wait for a delay, failing with an AbortError as soon as the signal is aborted
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} signal - The abort signal (optional)
+ * @returns {Promise<void>}
+ */
+function abortableDelay(delayMs, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+module.exports = { createAbortError, createTimeoutError, abortableDelay };
@@ -1,151 +1,460 @@
+const crypto = require('crypto');
+const { DEFAULT_ROLE_CONFIG, mergeRoleConfig, toGenerationConfig } = require('./agentConfig');
+const { PromptLibrary } = require('./promptLibrary');
+const { extractImages, stripImageData, downscaleImage } = require('./imageUtils');
+const { RetryPolicy } = require('./retryPolicy');
+const { sanitizeToolParameters, formatDropped } = require('./schemaSanitizer');
+
 class Agent {
-  constructor(role, genAI, toolRegistry, mcpClient) {
+  /**
+   * @param {string} role - The role of the agent (thinker, planner, executor, reviewer)
+   * @param {LLMProvider} provider - The LLM provider used to talk to the model
+   * @param {ToolRegistry} toolRegistry - The tool registry
+   * @param {MCPClient} mcpClient - The MCP client used to execute tools
+   * @param {object} options - Agent options
+   * @param {PromptLibrary} options.prompts - Prompt templates (defaults to the templates in ./prompts)
+   * @param {object} options.config - Role config (model, fallbackModel, temperature, topP, topK, maxOutputTokens, systemInstruction)
+   * @param {number} options.maxIterations - Maximum number of model turns per process call
+   * @param {number} options.maxToolResultBytes - Byte budget for each tool result sent back to the model
+   * @param {number} options.imageMaxWidth - Width screenshots are downscaled to before reaching the model (0 disables)
+   * @param {number} options.maxImagesInContext - Number of most recent screenshots kept in the chat context
+   * @param {RetryPolicy} options.retryPolicy - Retry policy for model calls
+   * @param {number} options.toolTimeoutMs - Time limit of an MCP tool call in milliseconds (0 disables)
+   */
+  constructor(role, provider, toolRegistry, mcpClient, options = {}) {
     this.role = role;
-    this.genAI = genAI;
+    this.provider = provider;
     this.toolRegistry = toolRegistry;
     this.mcpClient = mcpClient;
-    this.model = genAI.getGenerativeModel({ model: "gemini-2.5-pro-exp-03-25" });
+    this.prompts = options.prompts || new PromptLibrary();
+    this.config = mergeRoleConfig(DEFAULT_ROLE_CONFIG, options.config);
+    this.maxIterations = options.maxIterations || parseInt(process.env.AGENT_MAX_ITERATIONS, 10) || 10;
+    this.maxToolResultBytes = options.maxToolResultBytes || parseInt(process.env.AGENT_TOOL_RESULT_MAX_BYTES, 10) || 16384;
+    this.imageMaxWidth = options.imageMaxWidth !== undefined
+      ? options.imageMaxWidth
+      : parseInt(process.env.AGENT_IMAGE_MAX_WIDTH || '1024', 10);
+    this.maxImagesInContext = options.maxImagesInContext !== undefined
+      ? options.maxImagesInContext
+      : parseInt(process.env.AGENT_MAX_IMAGES_IN_CONTEXT || '3', 10);
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.toolTimeoutMs = options.toolTimeoutMs !== undefined
+      ? options.toolTimeoutMs
+      : parseInt(process.env.TOOL_TIMEOUT_MS || '60000', 10);
   }
 
-  async process({ input, context, previousSteps = [] }) {
+  /**
+   * Process an input, running tool calls until the model returns a final answer
+   * @param {object} params
+   * @param {string} params.input - The task input
+   * @param {object} params.variables - Extra template variables (site, persona, ...)
+   * @param {Array} params.previousSteps - Outputs of the previous agents
+   * @param {object} params.toolBudget - Shared per-task tool-call budget ({ max, used })
+   * @param {Function} params.onToolCall - Called with a record of every tool call made, including the screenshots it captured
+   * @param {object} params.config - Per-task overrides of the role config
+   * @param {Array} params.tools - Tools to offer instead of the role's tools from the registry
+   * @param {Array} params.localTools - Extra tools for this call, each with an execute(args) function
+   * @param {Function} params.onRetry - Called with a record of every retried or failed-over model call
+   * @param {Function} params.onStream - Called with streamed output ({ kind: 'text'|'reset'|'tool_call', ... }); enables streaming
+   * @param {Function} params.onUsage - Called with the token usage of every model call; may throw to stop the agent
+   * @param {AbortSignal} params.signal - Aborts in-flight model calls and tool requests
+   * @param {Function} params.checkpoint - Awaited before every tool call; may wait (to pause) or throw (to stop the agent)
+   * @param {MCPClient} params.mcpClient - Client that runs the MCP tools of this call, e.g. the task's browser session (defaults to the agent's client)
+   * @param {Function} params.authorizeToolCall - Awaited with ({ tool, args }) before every MCP tool call; resolves to { approved, reason }
+   * @param {ToolRegistry|ToolOverlay} params.toolRegistry - Registry the role's tools come from, e.g. with the task's own tools (defaults to the agent's registry)
+   * @param {number} params.toolTimeoutMs - Time limit of an MCP tool call for this call (defaults to the agent's limit; a tool's own timeoutMs wins)
+   * @param {Function} params.runHook - Runs a plugin hook (hook, payload) around every model and tool call; see PluginManager.run
+   * @param {Function} params.onSpan - Called with a trace span ({ kind, name, status, startTime, endTime, attributes }) for every model and tool call
+   * @returns {Promise<string>} - The combined text of every model turn
+   * @throws {Error} - If the agent fails or is aborted; the error carries the text produced so far as partialOutput
+   */
+  async process({ input, variables = {}, previousSteps = [], toolBudget = null, onToolCall = null, config = null, tools: allowedTools = null, localTools = [], onRetry = null, onStream = null, onUsage = null, signal = null, checkpoint = null, mcpClient = null, toolRegistry = null, authorizeToolCall = null, toolTimeoutMs = null, runHook = null, onSpan = null }) {
+    // Text of every model turn so far, kept for the error of an aborted run
+    const texts = [];
+    
     try {
       console.log(`${this.role} agent processing input: ${input.substring(0, 50)}...`);
       
-      // Build the prompt with context and previous steps
-      const prompt = this._buildPrompt(input, context, previousSteps);
+      // Get available tools for this agent, plus any tools local to this call
+      const tools = [...(allowedTools || (toolRegistry || this.toolRegistry).getToolsForAgent(this.role)), ...localTools];
       
-      // Get available tools for this agent
-      const tools = this.toolRegistry.getToolsForAgent(this.role);
+      // Build the prompt from the role's template
+      const prompt = this._buildPrompt(input, previousSteps, tools, variables);
       
       // Log available tools for this agent
       console.log(`${this.role} agent has access to ${tools.length} tools:`, 
         tools.map(t => t.name).join(', '));
       
-      // Configure the model with tool definitions if available
-      const generationConfig = {
-        temperature: 0.7,
-        topP: 0.8,
-        topK: 40,
-        maxOutputTokens: 8192,
+      // Resolve the model settings for this call
+      const roleConfig = mergeRoleConfig(this.config, config);
+      const generationConfig = toGenerationConfig(roleConfig);
+      
+      // Convert the tool schemas into function declarations the provider accepts
+      const functionDeclarations = this._buildFunctionDeclarations(tools);
+      if (functionDeclarations.length > 0) {
+        console.log(`${this.role} agent configured with ${functionDeclarations.length} tools`);
+      }
+      
+      // Start a chat session with the provider
+      const chat = this.provider.startChat({
+        model: roleConfig.model || this.provider.defaultModel,
+        role: this.role,
+        generationConfig,
+        systemInstruction: roleConfig.systemInstruction,
+        functionDeclarations,
+        maxImages: this.maxImagesInContext
+      });
+      
+      // Run the agent loop: keep executing tool calls until the model stops asking for them
+      let message = prompt;
+      const modelState = {
+        model: roleConfig.model || this.provider.defaultModel,
+        fallbackModel: roleConfig.fallbackModel
       };
+      const stream = onStream ? this._createOutputStream(onStream) : null;
       
-      let chat;
-      if (tools && tools.length > 0) {
-        // First, ensure all tool definitions have proper items fields for arrays
-        this._fixToolDefinitions(tools);
+      for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+        // Plugins may rewrite the message or veto the call, which fails the agent
+        if (runHook) {
+          const before = await runHook('beforeModelCall', { role: this.role, iteration, model: modelState.model, message });
+          if (before.veto) {
+            const error = new Error(`Model call vetoed by plugin ${before.veto.plugin}: ${before.veto.reason}`);
+            error.code = 'MODEL_CALL_VETOED';
+            throw error;
+          }
+          message = before.message;
+        }
         
-        // Prepare tool declarations for the model
-        const functionDeclarations = tools.map(tool => {
-          return {
-            name: tool.name,
-            description: tool.description,
-            parameters: tool.parameters
-          };
-        });
+        const startTime = Date.now();
+        let response;
+        try {
+          response = await this._sendWithRetry(chat, message, modelState, onRetry, stream, signal);
+        } catch (error) {
+          this._traceModelCall(onSpan, { iteration, model: modelState.model, message, startTime, error });
+          throw error;
+        }
+        this._traceModelCall(onSpan, { iteration, model: modelState.model, message, startTime, response });
         
-        // Validate function declarations before sending to Gemini API
-        this._validateFunctionDeclarations(functionDeclarations);
+        const { usage } = response;
+        let { text, functionCalls } = response;
+        if (runHook) {
+          ({ text, functionCalls } = await runHook('afterModelCall', { role: this.role, iteration, model: modelState.model, text, functionCalls, usage }));
+        }
+        if (onUsage && usage) {
+          onUsage({ role: this.role, model: modelState.model, iteration, usage });
+        }
+        if (text) {
+          texts.push(text);
+        }
+        if (stream) {
+          stream.commitTurn(text);
+        }
         
-        // Configure model with tools
-        chat = this.model.startChat({
-          generationConfig,
-          tools: [{
-            functionDeclarations
-          }]
-        });
+        if (functionCalls.length === 0) {
+          // No more tool calls, this is the final answer
+          return texts.join("\n\n");
+        }
         
-        // Log the number of tools configured for the model
-        console.log(`${this.role} agent configured with ${functionDeclarations.length} tools`);
-      } else {
-        // No tools needed
-        chat = this.model.startChat({
-          generationConfig
-        });
-      }
-      
-      // Send the message to the model
-      const result = await chat.sendMessage(prompt);
-      const response = result.response;
-      const text = response.text();
-      
-      // Handle any tool calls in the response
-      if (response.functionCalls && response.functionCalls.length > 0) {
-        const toolResults = await this._handleToolCalls(response.functionCalls);
+        console.log(`${this.role} agent iteration ${iteration}: model requested ${functionCalls.length} tool call(s)`);
+        if (stream) {
+          functionCalls.forEach(call => stream.emit({ kind: 'tool_call', iteration, tool: call.name, args: call.args }));
+        }
         
-        // Send the tool results back to the model
-        const followupResult = await chat.sendMessage(
-          `Tool execution results: ${JSON.stringify(toolResults)}`
-        );
+        const toolResults = await this._handleToolCalls(functionCalls, { iteration, toolBudget, onToolCall, localTools, signal, checkpoint, authorizeToolCall, mcpClient: mcpClient || this.mcpClient, tools, toolTimeoutMs, runHook, onSpan });
         
-        // Combine the original response with the tool-informed response
-        return text + "\n\n" + followupResult.response.text();
+        // Send the tool results back to the model as one function response per call,
+        // followed by any screenshots the tools captured
+        message = [
+          ...this._buildFunctionResponseParts(toolResults),
+          ...await this._buildImageParts(toolResults)
+        ];
       }
       
-      return text;
+      console.warn(`${this.role} agent reached the maximum of ${this.maxIterations} iterations without a final answer`);
+      texts.push(`[Stopped after ${this.maxIterations} iterations without a final answer]`);
+      if (stream) {
+        stream.commitTurn(texts[texts.length - 1]);
+      }
+      return texts.join("\n\n");
     } catch (error) {
       console.error(`Error in ${this.role} agent:`, error);
-      throw new Error(`${this.role} agent failed: ${error.message}`);
+      const wrapped = new Error(`${this.role} agent failed: ${error.message}`);
+      wrapped.code = error.code;
+      wrapped.partialOutput = texts.join("\n\n");
+      throw wrapped;
     }
   }
   
-  // Build the prompt for the agent based on role, input, context, and previous steps
-  _buildPrompt(input, context, previousSteps) {
-    let prompt = `${context}\n\n`;
+  /**
+   * Send a message, retrying transient failures and switching to the fallback model
+   * once the primary model keeps failing. After a switch the rest of the loop stays
+   * on the fallback model.
+   * @param {object} chat - The chat session
+   * @param {string|Array} message - The message to send
+   * @param {object} modelState - The current model and the unused fallback model ({ model, fallbackModel })
+   * @param {Function} onRetry - Called with a record of every retry and model switch
+   * @param {object} stream - Output stream from _createOutputStream, or null to not stream
+   * @param {AbortSignal} signal - Aborts the call, including retries and the fallback model
+   * @returns {Promise<{text: string, functionCalls: Array}>} - The model response
+   * @private
+   */
+  async _sendWithRetry(chat, message, modelState, onRetry, stream = null, signal = null) {
+    const send = () => this.retryPolicy.run(async () => {
+      const response = await chat.sendMessage(message, {
+        model: modelState.model,
+        onText: stream ? (delta) => stream.write(delta) : undefined,
+        signal: signal || undefined
+      });
+      
+      // An empty candidate (e.g. a dropped stream) is retried like a transient error
+      if (!response.text && response.functionCalls.length === 0) {
+        const error = new Error(`Empty response from ${modelState.model}`);
+        error.code = 'EMPTY_RESPONSE';
+        throw error;
+      }
+      
+      return response;
+    }, {
+      onRetry: ({ attempt, maxRetries, delayMs, error }) => {
+        // Text streamed by the failed attempt is taken back before the retry
+        if (stream) {
+          stream.discardTurn();
+        }
+        if (onRetry) {
+          onRetry({ role: this.role, model: modelState.model, attempt, maxRetries, delayMs, error: error.message });
+        }
+      },
+      signal
+    });
     
-    // Add previous steps from other agents
-    if (previousSteps.length > 0) {
-      prompt += "Previous steps:\n";
-      for (const step of previousSteps) {
-        prompt += `\n## ${step.role.toUpperCase()} AGENT OUTPUT:\n${step.content}\n`;
+    try {
+      return await send();
+    } catch (error) {
+      const fallbackModel = modelState.fallbackModel;
+      if (!fallbackModel || fallbackModel === modelState.model || (signal && signal.aborted) || !this.retryPolicy.shouldFallback(error)) {
+        throw error;
+      }
+      
+      console.warn(`${this.role} agent switching from ${modelState.model} to fallback model ${fallbackModel}: ${error.message}`);
+      if (onRetry) {
+        onRetry({ role: this.role, model: fallbackModel, previousModel: modelState.model, fallback: true, error: error.message });
+      }
+      
+      if (stream) {
+        stream.discardTurn();
       }
-      prompt += "\n";
+      
+      modelState.model = fallbackModel;
+      modelState.fallbackModel = null;
+      return send();
     }
+  }
+  
+  /**
+   * Create a stream that forwards model output to a callback
+   *
+   * Text deltas include the blank line that separates turns, so concatenating every
+   * 'text' event since the last 'reset' gives exactly the output process() returns.
+   * A 'reset' event carries the full output so far and replaces everything before it;
+   * it is sent when a failed attempt is retried or when a streamed turn differs from
+   * the final response.
+   *
+   * @param {Function} onStream - Called with each stream event
+   * @returns {object} - The stream ({ write, discardTurn, commitTurn, emit })
+   * @private
+   */
+  _createOutputStream(onStream) {
+    let committed = '';
+    let turnText = '';
     
-    // Add the current task
-    prompt += `Task: ${input}\n\n`;
+    const emit = (event) => {
+      try {
+        onStream({ role: this.role, ...event });
+      } catch (error) {
+        console.error(`Error streaming ${this.role} output:`, error);
+      }
+    };
     
-    // Add role-specific instructions
-    switch (this.role) {
-      case 'thinker':
-        prompt += "Analyze the task, break it down into components, and identify key aspects that need to be addressed. Don't solve the problem yet, just understand it deeply.";
-        break;
-      case 'planner':
-        prompt += "Based on the thinking analysis, create a detailed step-by-step plan to accomplish the task. Be specific about what needs to be done at each step.";
-        break;
-      case 'executor':
-        prompt += "Execute the plan created by the planning agent. Use tools when necessary. Show your work and explain what you're doing at each step.";
-        break;
-      case 'reviewer':
-        prompt += "Review the execution results, identify any issues or potential improvements, and provide a final assessment of the solution.";
-        break;
-      default:
-        prompt += "Process the input and provide a thoughtful response.";
-    }
+    const join = (text) => (committed && text ? `${committed}\n\n${text}` : committed + text);
+    
+    // Start every process call from an empty output
+    emit({ kind: 'reset', text: '' });
+    
+    return {
+      emit,
+      write: (delta) => {
+        const separator = turnText === '' && committed !== '' ? '\n\n' : '';
+        turnText += delta;
+        emit({ kind: 'text', text: separator + delta });
+      },
+      discardTurn: () => {
+        if (turnText !== '') {
+          turnText = '';
+          emit({ kind: 'reset', text: committed });
+        }
+      },
+      commitTurn: (text) => {
+        const expected = join(text || '');
+        if (join(turnText) !== expected) {
+          emit({ kind: 'reset', text: expected });
+        }
+        committed = expected;
+        turnText = '';
+      }
+    };
+  }
+  
+  /**
+   * Get the prompt template used by this agent
+   * @returns {{name: string, version: string}} - The template name and version
+   */
+  getPromptTemplate() {
+    const template = this.prompts.getTemplate(this.role);
+    return { name: template.name, version: template.version };
+  }
+  
+  /**
+   * Build the prompt for the agent from its role's template
+   * @param {string} input - The task input
+   * @param {Array} previousSteps - Outputs of the previous agents
+   * @param {Array} tools - Tools available to the agent
+   * @param {object} variables - Extra template variables (site, persona, ...)
+   * @returns {string} - The rendered prompt
+   * @private
+   */
+  _buildPrompt(input, previousSteps, tools, variables) {
+    const { prompt } = this.prompts.render(this.role, {
+      ...variables,
+      role: this.role,
+      task: input,
+      previousSteps: previousSteps
+        .map(step => `## ${step.role.toUpperCase()} AGENT OUTPUT:\n${step.content}`)
+        .join('\n\n'),
+      tools: tools
+        .map(tool => `- ${tool.name}: ${tool.description}`)
+        .join('\n')
+    });
     
     return prompt;
   }
   
-  // Handle tool calls from the model
-  async _handleToolCalls(functionCalls) {
+  /**
+   * Handle tool calls from the model
+   * @param {Array} functionCalls - The function calls requested by the model
+   * @param {object} options
+   * @param {number} options.iteration - The current loop iteration
+   * @param {object} options.toolBudget - Shared per-task tool-call budget ({ max, used })
+   * @param {Function} options.onToolCall - Called with a record of every tool call made
+   * @param {Array} options.localTools - Tools executed in-process instead of through the MCP client
+   * @param {AbortSignal} options.signal - Aborts in-flight tool requests
+   * @param {Function} options.checkpoint - Awaited before every tool call
+   * @param {Function} options.authorizeToolCall - Decides whether an MCP tool call may run
+   * @param {MCPClient} options.mcpClient - Client that runs the MCP tools (defaults to the agent's client)
+   * @param {Array} options.tools - The tools offered to the model, for their own time limits
+   * @param {number} options.toolTimeoutMs - Time limit of an MCP tool call (defaults to the agent's limit)
+   * @param {Function} options.runHook - Runs the beforeToolCall and afterToolCall plugin hooks
+   * @param {Function} options.onSpan - Called with the trace span of every tool call
+   * @returns {Promise<Array>} - The tool results
+   * @private
+   */
+  async _handleToolCalls(functionCalls, { iteration = 1, toolBudget = null, onToolCall = null, localTools = [], signal = null, checkpoint = null, authorizeToolCall = null, mcpClient = this.mcpClient, tools = [], toolTimeoutMs = null, runHook = null, onSpan = null } = {}) {
     const results = [];
     
     for (const functionCall of functionCalls) {
-      const { name, args } = functionCall;
+      // A paused task waits here; a cancelled one stops
+      if (checkpoint) {
+        await checkpoint();
+      }
+      
+      const { name } = functionCall;
+      let { args } = functionCall;
+      let startTime = Date.now();
+      const localTool = localTools.find(tool => tool.name === name);
+      
+      // Refuse the call once the task has used up its tool-call budget
+      // Local tools only do bookkeeping, so they do not count against it
+      if (!localTool && toolBudget && toolBudget.used >= toolBudget.max) {
+        console.warn(`${this.role} agent skipped tool ${name}: tool-call budget of ${toolBudget.max} exhausted`);
+        const skipped = {
+          tool: name,
+          args,
+          error: `Tool-call budget of ${toolBudget.max} calls exhausted. Provide your final answer without further tool calls.`,
+          status: 'skipped'
+        };
+        results.push(skipped);
+        this._recordToolCall(onToolCall, skipped, iteration);
+        this._traceToolCall(onSpan, skipped, iteration, startTime);
+        continue;
+      }
+      
+      // Plugins may rewrite the arguments; a vetoed call is reported to the model like a rejected one
+      if (runHook) {
+        const before = await runHook('beforeToolCall', { role: this.role, iteration, tool: name, args });
+        if (before.veto) {
+          console.warn(`${this.role} agent tool ${name} was vetoed by plugin ${before.veto.plugin}: ${before.veto.reason}`);
+          const vetoed = {
+            tool: name,
+            args,
+            error: `This tool call is not allowed: ${before.veto.reason}. Do not repeat it; continue without it or explain what is blocked.`,
+            status: 'vetoed'
+          };
+          results.push(vetoed);
+          this._recordToolCall(onToolCall, vetoed, iteration);
+          this._traceToolCall(onSpan, vetoed, iteration, startTime);
+          continue;
+        }
+        args = before.args;
+      }
+      
+      // A rejected call is reported to the model instead of run, and does not count against the budget
+      if (!localTool && authorizeToolCall) {
+        const decision = await authorizeToolCall({ tool: name, args });
+        if (!decision.approved) {
+          console.warn(`${this.role} agent tool ${name} was rejected${decision.reason ? `: ${decision.reason}` : ''}`);
+          const rejected = {
+            tool: name,
+            args,
+            error: `The user rejected this tool call${decision.reason ? `: ${decision.reason}` : ''}. Do not repeat it; continue without it or explain what is blocked.`,
+            status: 'rejected'
+          };
+          results.push(rejected);
+          this._recordToolCall(onToolCall, rejected, iteration);
+          this._traceToolCall(onSpan, rejected, iteration, startTime);
+          continue;
+        }
+      }
+      
+      if (!localTool && toolBudget) {
+        toolBudget.used++;
+      }
+      
       console.log(`${this.role} agent calling tool: ${name} with args:`, args);
       
+      // A stuck MCP call is aborted after its time limit; the task's own signal still aborts it sooner
+      const tool = tools.find(candidate => candidate.name === name);
+      const timeoutMs = (tool && tool.timeoutMs) || toolTimeoutMs || this.toolTimeoutMs;
+      const toolSignal = !localTool && timeoutMs
+        ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)].filter(Boolean))
+        : signal;
+      
+      // Spans of calls that ran leave out the wait for plugins and approval
+      startTime = Date.now();
       try {
-        // Execute the tool via MCP client
-        const result = await this.mcpClient.executeTool(name, args);
+        // Execute local tools in-process and everything else via the MCP client
+        const result = localTool
+          ? await localTool.execute(args || {})
+          : await mcpClient.executeTool(name, args, { signal: toolSignal });
         
         // Process the result based on the tool type
         let processedResult = result;
+        let images = [];
         
         // Special handling for screenshot/snapshot tools
         if (name === 'browser_screen_capture' || name === 'browser_snapshot' || name === 'browser_take_screenshot') {
-          // For screenshots, we'll include a message about the image being captured
+          // Screenshots are attached to the next model turn as images, so drop the base64 data from the result
+          images = extractImages(result);
           processedResult = {
-            message: `Screenshot captured successfully. ${result.data ? 'Image data is available.' : ''}`,
-            ...result
+            message: `Screenshot captured successfully. ${images.length > 0 ? 'The image is attached to this message.' : ''}`,
+            ...stripImageData(result)
           };
           
           // Log that we captured a screenshot/snapshot
@@ -157,194 +466,258 @@ class Agent {
           tool: name,
           args,
           result: processedResult,
+          images,
           status: 'success'
         });
         
         // Log success
         console.log(`Tool ${name} executed successfully`);
       } catch (error) {
-        console.error(`Error executing tool ${name}:`, error);
-        results.push({
+        const timedOut = toolSignal && toolSignal.aborted && !(signal && signal.aborted);
+        
+        // An aborted request ends the agent instead of being reported to the model
+        if (!timedOut && (error.name === 'AbortError' || (signal && signal.aborted))) {
+          throw error;
+        }
+        
+        if (timedOut) {
+          // A call that ran out of time is reported to the model, which may try something else
+          console.warn(`Tool ${name} timed out after ${timeoutMs} ms`);
+          results.push({
+            tool: name,
+            args,
+            error: `The tool call timed out after ${timeoutMs} ms and was aborted.`,
+            status: 'timeout'
+          });
+        } else {
+          console.error(`Error executing tool ${name}:`, error);
+          results.push({
+            tool: name,
+            args,
+            error: error.message,
+            status: 'error'
+          });
+        }
+      }
+      
+      // Plugins may rewrite what the model is told about the call
+      const toolResult = results[results.length - 1];
+      if (runHook) {
+        const after = await runHook('afterToolCall', {
+          role: this.role,
+          iteration,
           tool: name,
           args,
-          error: error.message,
-          status: 'error'
+          status: toolResult.status,
+          result: toolResult.result,
+          error: toolResult.error
         });
+        if (after.result !== undefined) toolResult.result = after.result;
+        if (after.error !== undefined) toolResult.error = after.error;
       }
+      
+      this._recordToolCall(onToolCall, toolResult, iteration);
+      this._traceToolCall(onSpan, toolResult, iteration, startTime);
     }
     
     return results;
   }
+  
   /**
-   * Clean parameters object for Gemini API compatibility
-   * Removes unsupported fields like 'default' values and adds required fields for arrays
-   * @param {object} parameters - The parameters object to clean
-   * @returns {object} - Cleaned parameters object
+   * Report the trace span of a model call
+   * @param {Function} onSpan - The span callback (optional)
+   * @param {object} call - The call
+   * @param {number} call.iteration - The loop iteration
+   * @param {string} call.model - The model that answered, or the last one tried
+   * @param {string|Array} call.message - What was sent to the model
+   * @param {number} call.startTime - When the call started
+   * @param {object} call.response - The normalized response, if the call succeeded
+   * @param {Error} call.error - The error, if it failed
    * @private
    */
-  _cleanParametersForGemini(parameters) {
-    // Create a deep copy to avoid modifying the original
-    const cleanParams = JSON.parse(JSON.stringify(parameters));
+  _traceModelCall(onSpan, { iteration, model, message, startTime, response = null, error = null }) {
+    if (!onSpan) return;
     
-    // Process properties recursively if they exist
-    if (cleanParams.properties) {
-      Object.keys(cleanParams.properties).forEach(propKey => {
-        const prop = cleanParams.properties[propKey];
-        
-        // Remove default field if present
-        if (prop.default !== undefined) {
-          delete prop.default;
-        }
-        
-        // Add items field to array properties if missing
-        if (prop.type === 'array' && !prop.items) {
-          // Add a default items field with string type
-          prop.items = {
-            type: 'string'
-          };
-          console.log(`Added missing items field to array property: ${propKey}`);
-        }
-        
-        // Process nested properties recursively
-        if (prop.properties) {
-          cleanParams.properties[propKey] = this._cleanParametersForGemini(prop);
-        }
-        
-        // Process items for arrays
-        if (prop.items && typeof prop.items === 'object') {
-          if (prop.items.default !== undefined) {
-            delete prop.items.default;
-          }
-          
-          // Process nested properties in items
-          if (prop.items.properties) {
-            prop.items = this._cleanParametersForGemini(prop.items);
-          }
-        }
-      });
-    }
+    const usage = (response && response.usage) || {};
+    this._emitSpan(onSpan, {
+      kind: 'model',
+      name: model,
+      status: error ? (error.name === 'AbortError' ? 'aborted' : 'error') : 'ok',
+      startTime,
+      endTime: Date.now(),
+      attributes: {
+        role: this.role,
+        iteration,
+        // The hash tells identical prompts apart without storing them
+        promptHash: crypto.createHash('sha256').update(typeof message === 'string' ? message : JSON.stringify(message)).digest('hex').slice(0, 16),
+        promptTokens: usage.promptTokens || null,
+        outputTokens: usage.outputTokens || null,
+        totalTokens: usage.totalTokens || null,
+        functionCalls: response ? (response.functionCalls || []).length : 0,
+        error: error ? error.message : null
+      }
+    });
+  }
+  
+  /**
+   * Report the trace span of a tool call
+   * @param {Function} onSpan - The span callback (optional)
+   * @param {object} toolResult - The result recorded for the call
+   * @param {number} iteration - The loop iteration
+   * @param {number} startTime - When the call started
+   * @private
+   */
+  _traceToolCall(onSpan, toolResult, iteration, startTime) {
+    if (!onSpan) return;
     
-    return cleanParams;
+    this._emitSpan(onSpan, {
+      kind: 'tool',
+      name: toolResult.tool,
+      status: toolResult.status,
+      startTime,
+      endTime: Date.now(),
+      attributes: {
+        role: this.role,
+        iteration,
+        args: toolResult.args,
+        resultBytes: toolResult.result !== undefined ? Buffer.byteLength(JSON.stringify(toolResult.result) || '', 'utf8') : 0,
+        images: (toolResult.images || []).length,
+        error: toolResult.error || null
+      }
+    });
   }
+  
   /**
-   * Fix tool definitions to ensure they are compatible with Gemini API
-   * @param {Array} tools - Array of tool definitions to fix
+   * Pass a span to the span callback, which must not break the agent
+   * @param {Function} onSpan - The span callback
+   * @param {object} span - The span
    * @private
    */
-  _fixToolDefinitions(tools) {
-    for (const tool of tools) {
-      if (!tool.parameters) continue;
-      
-      // Fix the parameters object
-      this._fixParametersObject(tool.parameters);
+  _emitSpan(onSpan, span) {
+    try {
+      onSpan(span);
+    } catch (error) {
+      console.error(`Error recording ${span.kind} span ${span.name}:`, error);
+    }
+  }
+  
+  /**
+   * Convert tool results into Gemini functionResponse parts, one per call
+   * @param {Array} toolResults - The results returned by _handleToolCalls
+   * @returns {Array} - Array of functionResponse parts
+   * @private
+   */
+  _buildFunctionResponseParts(toolResults) {
+    return toolResults.map(toolResult => {
+      const response = toolResult.status === 'success'
+        ? { status: toolResult.status, result: this._truncateToolResult(toolResult.tool, toolResult.result) }
+        : { status: toolResult.status, error: toolResult.error };
       
-      // Log that we fixed the tool
-      console.log(`Fixed tool definition for ${tool.name}`);
+      return {
+        functionResponse: {
+          name: toolResult.tool,
+          response
+        }
+      };
+    });
+  }
+  
+  /**
+   * Convert screenshots returned by tools into inline image parts
+   * @param {Array} toolResults - The results returned by _handleToolCalls
+   * @returns {Promise<Array>} - Array of inlineData parts, downscaled to imageMaxWidth
+   * @private
+   */
+  async _buildImageParts(toolResults) {
+    const parts = [];
+    
+    for (const toolResult of toolResults) {
+      for (const image of toolResult.images || []) {
+        const scaled = await downscaleImage(image, { maxWidth: this.imageMaxWidth });
+        parts.push({
+          inlineData: {
+            mimeType: scaled.mimeType,
+            data: scaled.data
+          }
+        });
+      }
     }
+    
+    return parts;
   }
   
   /**
-   * Fix a parameters object to ensure it's compatible with Gemini API
-   * @param {object} parameters - Parameters object to fix
+   * Truncate a tool result that exceeds the configured byte budget
+   * Large payloads such as accessibility snapshots are replaced with a truncated preview
+   * @param {string} toolName - The name of the tool that produced the result
+   * @param {any} result - The tool result
+   * @returns {any} - The result, or a truncated summary of it
    * @private
    */
-  _fixParametersObject(parameters) {
-    if (!parameters || typeof parameters !== 'object') return;
+  _truncateToolResult(toolName, result) {
+    const serialized = typeof result === 'string' ? result : JSON.stringify(result);
+    if (serialized === undefined) {
+      return null;
+    }
     
-    // Ensure type is set
-    if (!parameters.type) {
-      parameters.type = 'object';
+    const size = Buffer.byteLength(serialized, 'utf8');
+    if (size <= this.maxToolResultBytes) {
+      return result;
     }
     
-    // Process properties
-    if (parameters.properties) {
-      Object.keys(parameters.properties).forEach(propKey => {
-        const prop = parameters.properties[propKey];
-        
-        // Remove default field if present
-        if (prop.default !== undefined) {
-          delete prop.default;
-        }
-        
-        // Add items field to array properties if missing
-        if (prop.type === 'array' && !prop.items) {
-          prop.items = {
-            type: 'string'
-          };
-          console.log(`Added missing items field to array property: ${propKey}`);
-        }
-        
-        // Process nested properties recursively
-        if (prop.properties) {
-          this._fixParametersObject(prop);
-        }
-        
-        // Process items for arrays
-        if (prop.items && typeof prop.items === 'object') {
-          // Remove default field from items if present
-          if (prop.items.default !== undefined) {
-            delete prop.items.default;
-          }
-          
-          // Process nested properties in items
-          if (prop.items.properties) {
-            this._fixParametersObject(prop.items);
-          }
-        }
+    console.log(`Truncating result of ${toolName} from ${size} to ${this.maxToolResultBytes} bytes`);
+    return {
+      truncated: true,
+      originalBytes: size,
+      preview: Buffer.from(serialized, 'utf8').subarray(0, this.maxToolResultBytes).toString('utf8')
+    };
+  }
+  
+  /**
+   * Report a tool call to the onToolCall listener, if any
+   * @param {Function} onToolCall - The listener
+   * @param {object} toolResult - The tool result entry
+   * @param {number} iteration - The loop iteration the call was made in
+   * @private
+   */
+  _recordToolCall(onToolCall, toolResult, iteration) {
+    if (!onToolCall) return;
+    
+    try {
+      onToolCall({
+        role: this.role,
+        iteration,
+        tool: toolResult.tool,
+        args: toolResult.args,
+        status: toolResult.status,
+        error: toolResult.error,
+        images: toolResult.images || [],
+        timestamp: Date.now()
       });
+    } catch (error) {
+      console.error(`Error recording tool call ${toolResult.tool}:`, error);
     }
   }
   
   /**
-   * Validate function declarations before sending to Gemini API
-   * @param {Array} functionDeclarations - Array of function declarations to validate
+   * Build function declarations for the tools, sanitizing each parameters schema
+   * @param {Array} tools - Tools available to the agent
+   * @returns {Array} - Function declarations ({ name, description, parameters })
    * @private
    */
-  _validateFunctionDeclarations(functionDeclarations) {
-    for (const func of functionDeclarations) {
-      // Check for required fields
-      if (!func.name) {
-        console.error('Function declaration missing name');
-      }
-      
-      if (!func.parameters) {
-        console.error(`Function ${func.name} missing parameters`);
-        continue;
+  _buildFunctionDeclarations(tools) {
+    return tools.map(tool => {
+      const { parameters, dropped } = sanitizeToolParameters(tool);
+      if (dropped.length > 0) {
+        console.log(`Sanitized schema for ${tool.name}, dropped or rewrote ${dropped.length} keyword(s):\n${formatDropped(dropped)}`);
       }
       
-      // Check parameters object
-      const params = func.parameters;
-      
-      // Ensure type is set
-      if (!params.type) {
-        console.error(`Function ${func.name} parameters missing type`);
-        params.type = 'object';
+      const declaration = { name: tool.name, description: tool.description };
+      if (parameters) {
+        declaration.parameters = parameters;
       }
-      
-      // Check properties
-      if (params.properties) {
-        Object.keys(params.properties).forEach(propKey => {
-          const prop = params.properties[propKey];
-          
-          // Check property type
-          if (!prop.type) {
-            console.error(`Function ${func.name} property ${propKey} missing type`);
-            prop.type = 'string';
-          }
-          
-          // Check array properties
-          if (prop.type === 'array') {
-            if (!prop.items) {
-              console.error(`Function ${func.name} array property ${propKey} missing items`);
-              prop.items = { type: 'string' };
-            } else if (!prop.items.type) {
-              console.error(`Function ${func.name} array property ${propKey} items missing type`);
-              prop.items.type = 'string';
-            }
-          }
-        });
-      }
-    }
+      return declaration;
+    });
   }
 }
 
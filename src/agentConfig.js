@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+// Settings every role starts from
+const DEFAULT_ROLE_CONFIG = {
+  model: null, // null means the provider's default model
+  fallbackModel: null, // model to switch to when the primary model keeps failing
+  temperature: 0.7,
+  topP: 0.8,
+  topK: 40,
+  maxOutputTokens: 8192,
+  systemInstruction: null
+};
+
+const ROLES = ['thinker', 'planner', 'executor', 'reviewer'];
+
+// Config keys and how to read them from environment variables
+const NUMERIC_KEYS = ['temperature', 'topP', 'topK', 'maxOutputTokens'];
+const STRING_KEYS = ['model', 'fallbackModel', 'systemInstruction'];
+const ENV_SUFFIXES = {
+  model: 'MODEL',
+  fallbackModel: 'FALLBACK_MODEL',
+  temperature: 'TEMPERATURE',
+  topP: 'TOP_P',
+  topK: 'TOP_K',
+  maxOutputTokens: 'MAX_OUTPUT_TOKENS',
+  systemInstruction: 'SYSTEM_INSTRUCTION'
+};
+
+/**
+ * Load per-role agent configuration
+ *
+ * Settings are layered: built-in defaults, then the config file (`defaults`
+ * entry first, then the role entry), then AGENT_<ROLE>_<SETTING> environment
+ * variables.
+ *
+ * @param {object} options - Load options
+ * @param {string} options.configPath - Path to a JSON config file (defaults to AGENT_CONFIG_PATH or agents.config.json)
+ * @param {object} options.env - Environment variables to read (defaults to process.env)
+ * @returns {object} - Map of role name to role config
+ */
+function loadAgentConfig(options = {}) {
+  const env = options.env || process.env;
+  const configPath = options.configPath || env.AGENT_CONFIG_PATH || path.join(process.cwd(), 'agents.config.json');
+  const fileConfig = _readConfigFile(configPath, Boolean(options.configPath || env.AGENT_CONFIG_PATH));
+  
+  const roles = new Set([...ROLES, ...Object.keys(fileConfig).filter(key => key !== 'defaults')]);
+  const config = {};
+  
+  for (const role of roles) {
+    config[role] = mergeRoleConfig(
+      mergeRoleConfig(
+        mergeRoleConfig(DEFAULT_ROLE_CONFIG, fileConfig.defaults),
+        fileConfig[role]
+      ),
+      _readEnvConfig(role, env)
+    );
+  }
+  
+  return config;
+}
+
+/**
+ * Merge an override into a role config, keeping only known settings
+ * @param {object} base - The base role config
+ * @param {object} override - The settings to apply on top
+ * @returns {object} - The merged role config
+ */
+function mergeRoleConfig(base, override) {
+  const merged = { ...base };
+  if (!override) return merged;
+  
+  for (const key of [...NUMERIC_KEYS, ...STRING_KEYS]) {
+    if (override[key] !== undefined && override[key] !== null) {
+      merged[key] = override[key];
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Validate per-task agent config overrides
+ * @param {object} overrides - Map of role name to role settings
+ * @throws {Error} - If the overrides are malformed
+ */
+function validateAgentConfigOverrides(overrides) {
+  if (overrides === undefined || overrides === null) return;
+  
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('agentConfig must be an object keyed by agent role');
+  }
+  
+  for (const [role, settings] of Object.entries(overrides)) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`agentConfig.${role} must be an object`);
+    }
+    
+    for (const [key, value] of Object.entries(settings)) {
+      if (NUMERIC_KEYS.includes(key)) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          throw new Error(`agentConfig.${role}.${key} must be a non-negative number`);
+        }
+      } else if (STRING_KEYS.includes(key)) {
+        if (typeof value !== 'string') {
+          throw new Error(`agentConfig.${role}.${key} must be a string`);
+        }
+      } else {
+        throw new Error(`agentConfig.${role}.${key} is not a supported setting`);
+      }
+    }
+  }
+}
+
+/**
+ * Build a generationConfig object from a role config
+ * @param {object} roleConfig - The role config
+ * @returns {object} - The generation config passed to the provider
+ */
+function toGenerationConfig(roleConfig) {
+  return {
+    temperature: roleConfig.temperature,
+    topP: roleConfig.topP,
+    topK: roleConfig.topK,
+    maxOutputTokens: roleConfig.maxOutputTokens
+  };
+}
+
+/**
+ * Read the JSON config file, if present
+ * @param {string} configPath - Path to the config file
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {object} - The parsed config, or an empty object
+ * @private
+ */
+function _readConfigFile(configPath, required) {
+  if (!fs.existsSync(configPath)) {
+    if (required) {
+      throw new Error(`Agent config file not found: ${configPath}`);
+    }
+    return {};
+  }
+  
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log(`Loaded agent config from ${configPath}`);
+    return config;
+  } catch (error) {
+    throw new Error(`Failed to read agent config ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read AGENT_<ROLE>_<SETTING> environment variables for a role
+ * @param {string} role - The agent role
+ * @param {object} env - Environment variables
+ * @returns {object} - The settings found in the environment
+ * @private
+ */
+function _readEnvConfig(role, env) {
+  const prefix = `AGENT_${role.toUpperCase()}_`;
+  const config = {};
+  
+  for (const [key, suffix] of Object.entries(ENV_SUFFIXES)) {
+    const value = env[prefix + suffix];
+    if (value === undefined || value === '') continue;
+    
+    if (NUMERIC_KEYS.includes(key)) {
+      const number = parseFloat(value);
+      if (Number.isNaN(number)) {
+        console.warn(`Ignoring ${prefix + suffix}: "${value}" is not a number`);
+        continue;
+      }
+      config[key] = number;
+    } else {
+      config[key] = value;
+    }
+  }
+  
+  return config;
+}
+
+module.exports = {
+  DEFAULT_ROLE_CONFIG,
+  loadAgentConfig,
+  mergeRoleConfig,
+  validateAgentConfigOverrides,
+  toGenerationConfig
+};
@@ -1,60 +1,243 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
 const { Agent } = require('./agent');
+const { createProvider } = require('./llmProvider');
+const { loadAgentConfig, validateAgentConfigOverrides } = require('./agentConfig');
+const { PromptLibrary } = require('./promptLibrary');
+const { PipelineLibrary } = require('./pipelineLibrary');
+const { STEP_STATUSES, parsePlan, initializePlanProgress } = require('./planSchema');
+const { parseVerdict } = require('./reviewVerdict');
+const { ContextManager } = require('./contextManager');
+const { RetryPolicy } = require('./retryPolicy');
+const { UsageTracker, loadPriceTable } = require('./usageTracker');
+const { createTaskStore } = require('./taskStore');
+const { PRIORITIES, TaskQueue } = require('./taskQueue');
 const { MCPClient } = require('./mcpClient');
+const { BrowserSessionPool } = require('./browserSessions');
+const { EventLog } = require('./eventLog');
+const { ApprovalPolicy } = require('./approvalPolicy');
 const { ToolRegistry } = require('./toolRegistry');
+const { createAbortError } = require('./abort');
+const { TimeLimit } = require('./timeLimit');
+const { PluginManager } = require('./pluginManager');
+const { TaskTracer } = require('./taskTracer');
+
+// Statuses of tasks that will not run again
+const FINISHED_STATUSES = ['completed', 'failed', 'stopped', 'cancelled'];
+
+// What a task does when a phase or the task runs out of time:
+// fail, or hand what it has so far to the next review phase
+const TIMEOUT_ACTIONS = ['fail', 'review'];
+
+// File extensions of screenshot artifacts
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+// Result keys the phases of the default pipeline had before pipelines were configurable
+const LEGACY_RESULT_KEYS = {
+  thinking: 'thinking',
+  planning: 'planning',
+  executing: 'execution',
+  reviewing: 'review'
+};
 
 class AgentSystem {
-  constructor() {
-    // Initialize the Google Generative AI client
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  /**
+   * @param {object} options - Agent system options
+   * @param {LLMProvider} options.provider - The LLM provider (defaults to one created from the environment)
+   * @param {MCPClient} options.mcpClient - The MCP client the tool definitions come from; unless browserSessions is given, every task also runs its tool calls on it (defaults to one configured from the environment)
+   * @param {object} options.agentConfig - Per-role model settings (defaults to loadAgentConfig())
+   * @param {PromptLibrary} options.prompts - Prompt templates (defaults to the templates in ./prompts)
+   * @param {PipelineLibrary} options.pipelines - Pipeline definitions (defaults to the pipelines in ./pipelines)
+   * @param {ContextManager} options.contextManager - Keeps previous steps within the token budget
+   * @param {number} options.maxIterations - Maximum model turns per agent phase
+   * @param {number} options.maxToolCalls - Maximum tool calls per task
+   * @param {number} options.maxPlanAttempts - Maximum planner attempts to produce a valid plan
+   * @param {number} options.maxRounds - Default maximum rounds per task when reviews ask for a retry
+   * @param {number} options.maxToolResultBytes - Byte budget for each tool result sent back to the model
+   * @param {number} options.toolTimeoutMs - Time limit of an MCP tool call in milliseconds (defaults to TOOL_TIMEOUT_MS or 60000)
+   * @param {number} options.phaseTimeoutMs - Default time limit of a phase in milliseconds (defaults to PHASE_TIMEOUT_MS or 600000; 0 disables)
+   * @param {number} options.taskTimeoutMs - Default deadline of a task in milliseconds (defaults to TASK_TIMEOUT_MS or 3600000; 0 disables)
+   * @param {string} options.onTimeout - Default action when time runs out, "fail" or "review" (defaults to TASK_TIMEOUT_ACTION or "fail")
+   * @param {RetryPolicy} options.retryPolicy - Retry policy for model calls
+   * @param {boolean} options.streaming - Stream agent output to clients as it is generated
+   * @param {object} options.prices - Price table used to estimate cost (defaults to loadPriceTable())
+   * @param {number} options.maxCost - Default spending cap per task in USD (null for no cap)
+   * @param {TaskStore} options.taskStore - Where tasks and their artifacts are saved (defaults to createTaskStore())
+   * @param {TaskQueue} options.queue - Queue of tasks waiting to run (defaults to a TaskQueue configured from the environment)
+   * @param {BrowserSessionPool} options.browserSessions - Browser sessions of running tasks, whose clients run every tool call (defaults to one session per queue slot)
+   * @param {EventLog} options.eventLog - Numbers and keeps the events sent to clients, for replay
+   * @param {Function[]} options.eventSinks - Called with every event, e.g. to print progress in a terminal
+   * @param {ApprovalPolicy} options.approvalPolicy - Decides which tool calls wait for a human decision
+   * @param {Array} options.plugins - Plugins whose hooks run around tasks, phases, model and tool calls (defaults to the plugins in the plugin config)
+   * @param {boolean} options.tracing - Write a trace of every task's phases, model and tool calls to the task store (defaults to TASK_TRACE, on unless "false")
+   */
+  constructor(options = {}) {
+    // Initialize the LLM provider (Gemini by default, see LLM_PROVIDER)
+    this.provider = options.provider || createProvider();
     
-    // Initialize the MCP client for tool execution with Playwright
-    this.mcpClient = new MCPClient({
-      port: process.env.MCP_PORT || 3001,
+    // Playwright MCP settings shared by every browser session
+    const mcpOptions = {
       browser: process.env.MCP_BROWSER || 'chrome',
       headless: process.env.MCP_HEADLESS === 'true',
       vision: process.env.MCP_VISION === 'true'
+    };
+    
+    // The MCP client the tool definitions come from; tasks run their tools
+    // against a browser session of their own (see _executeAgentWorkflow),
+    // or against this client when it was injected
+    this.mcpClient = options.mcpClient || new MCPClient({
+      port: process.env.MCP_PORT || 3001,
+      ...mcpOptions
     });
     
     // Initialize the tool registry with the MCP client
     this.toolRegistry = new ToolRegistry(this.mcpClient);
     
+    // Per-role model and generation settings
+    this.agentConfig = options.agentConfig || loadAgentConfig();
+    
+    // Prompt templates shared by every agent
+    this.prompts = options.prompts || new PromptLibrary();
+    
+    // Pipelines tasks can run
+    this.pipelines = options.pipelines || new PipelineLibrary();
+    
+    // Summarizes older steps when prompts grow past the token budget
+    this.contextManager = options.contextManager || new ContextManager({ provider: this.provider });
+    
+    // Retries transient model failures with backoff
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    
+    // Risky tool calls wait for a human to approve or reject them
+    this.approvalPolicy = options.approvalPolicy || new ApprovalPolicy();
+    
+    // Plugins observe, change or veto what tasks do
+    this.plugins = new PluginManager({ plugins: options.plugins });
+    
+    // Every task writes a trace of its phases, model and tool calls, see TaskTracer
+    this.tracing = options.tracing !== undefined ? options.tracing : process.env.TASK_TRACE !== 'false';
+    
+    // Agent loop limits
+    this.agentOptions = {
+      maxIterations: options.maxIterations || parseInt(process.env.AGENT_MAX_ITERATIONS, 10) || 10,
+      maxToolResultBytes: options.maxToolResultBytes || parseInt(process.env.AGENT_TOOL_RESULT_MAX_BYTES, 10) || 16384,
+      toolTimeoutMs: options.toolTimeoutMs,
+      prompts: this.prompts,
+      retryPolicy: this.retryPolicy
+    };
+    this.maxToolCalls = options.maxToolCalls || parseInt(process.env.TASK_MAX_TOOL_CALLS, 10) || 50;
+    this.maxPlanAttempts = options.maxPlanAttempts || parseInt(process.env.PLAN_MAX_ATTEMPTS, 10) || 3;
+    this.maxRounds = options.maxRounds || parseInt(process.env.TASK_MAX_ROUNDS, 10) || 3;
+    this.streaming = options.streaming !== undefined
+      ? options.streaming
+      : process.env.AGENT_STREAMING !== 'false';
+    
+    // Time limits; the clocks stop while a task waits for a human
+    this.phaseTimeoutMs = options.phaseTimeoutMs !== undefined
+      ? options.phaseTimeoutMs
+      : parseInt(process.env.PHASE_TIMEOUT_MS || '600000', 10);
+    this.taskTimeoutMs = options.taskTimeoutMs !== undefined
+      ? options.taskTimeoutMs
+      : parseInt(process.env.TASK_TIMEOUT_MS || '3600000', 10);
+    this.onTimeout = options.onTimeout || process.env.TASK_TIMEOUT_ACTION || 'fail';
+    if (!TIMEOUT_ACTIONS.includes(this.onTimeout)) {
+      throw new Error(`TASK_TIMEOUT_ACTION must be one of ${TIMEOUT_ACTIONS.join(', ')}`);
+    }
+    
+    // Token prices and the default spending cap per task
+    this.prices = options.prices || loadPriceTable();
+    this.maxCost = options.maxCost !== undefined
+      ? options.maxCost
+      : (process.env.TASK_MAX_COST ? parseFloat(process.env.TASK_MAX_COST) : null);
+    
     // Create agent instances for different roles
     this.agents = {
-      thinker: new Agent('thinker', this.genAI, this.toolRegistry, this.mcpClient),
-      planner: new Agent('planner', this.genAI, this.toolRegistry, this.mcpClient),
-      reviewer: new Agent('reviewer', this.genAI, this.toolRegistry, this.mcpClient),
-      executor: new Agent('executor', this.genAI, this.toolRegistry, this.mcpClient)
+      thinker: this._createAgent('thinker'),
+      planner: this._createAgent('planner'),
+      reviewer: this._createAgent('reviewer'),
+      executor: this._createAgent('executor')
     };
     
-    // Task management
+    // Task management; every task is saved to the store so it survives a restart
     this.tasks = new Map();
+    this.taskStore = options.taskStore || createTaskStore();
+    
+    // New and resumed tasks wait here until a slot is free
+    this.queue = options.queue || new TaskQueue();
     
-    // Client connections for SSE
+    // Every running task gets its own Playwright MCP server and browser profile,
+    // unless an injected MCP client is to run every tool call
+    this.browserSessions = options.browserSessions || new BrowserSessionPool({
+      size: this.queue.concurrency,
+      clientOptions: mcpOptions,
+      client: options.mcpClient || null
+    });
+    
+    // Abort controller and pause state of every running task, by task id
+    this.controls = new Map();
+    
+    // Client connections for SSE, and the events they can ask to have replayed
     this.clients = new Map();
+    this.eventLog = options.eventLog || new EventLog();
     
-    // Initialize the MCP client
-    this._initializeMCPClient();
+    // Receivers of every event besides the SSE clients
+    this.eventSinks = options.eventSinks || [];
+  }
+  
+  /**
+   * Stop the browser session of every running task, e.g. before the process exits
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.browserSessions.stopAll();
   }
   
   /**
-   * Initialize the MCP client
+   * Create an agent for a role
+   * @param {string} role - The agent role
+   * @returns {Agent} - The agent
    * @private
    */
-  async _initializeMCPClient() {
-    try {
-      console.log('Starting Playwright MCP client...');
-      await this.mcpClient.start();
-      console.log('Playwright MCP client started successfully');
-    } catch (error) {
-      console.error('Failed to start Playwright MCP client:', error);
+  _createAgent(role) {
+    return new Agent(role, this.provider, this.toolRegistry, this.mcpClient, {
+      ...this.agentOptions,
+      config: this.agentConfig[role]
+    });
+  }
+  
+  /**
+   * Get the agent for a role, creating agents for custom roles on first use
+   * Custom roles need a prompt template named after the role
+   * @param {string} role - The agent role
+   * @returns {Agent} - The agent
+   */
+  getAgent(role) {
+    if (!this.agents[role]) {
+      if (!this.prompts.hasTemplate(role)) {
+        throw new Error(`Unknown agent role ${role}: no prompt template found`);
+      }
+      this.agents[role] = this._createAgent(role);
     }
+    return this.agents[role];
   }
   
   // Register a client for SSE
-  registerClient(clientId, sendFunction) {
-    this.clients.set(clientId, sendFunction);
-    console.log(`Client ${clientId} registered for SSE updates`);
+  // options.taskId only sends the client events of that task
+  // options.lastEventId first replays the kept events after that id, e.g. after a reconnect
+  registerClient(clientId, sendFunction, options = {}) {
+    const taskId = options.taskId || null;
+    
+    if (options.lastEventId !== undefined && options.lastEventId !== null) {
+      const missed = this.eventLog.since(options.lastEventId, taskId);
+      missed.forEach(event => sendFunction(event));
+      console.log(`Replayed ${missed.length} event(s) after ${options.lastEventId} to client ${clientId}`);
+    }
+    
+    this.clients.set(clientId, { send: sendFunction, taskId });
+    console.log(`Client ${clientId} registered for SSE updates${taskId ? ` of task ${taskId}` : ''}`);
   }
   
   // Unregister a client
@@ -63,52 +246,201 @@ class AgentSystem {
     console.log(`Client ${clientId} unregistered from SSE updates`);
   }
   
-  // Send update to all connected clients
+  // Number an update, keep it for replay and send it to every client that follows its task and to every event sink
   broadcastUpdate(update) {
-    for (const sendFn of this.clients.values()) {
-      sendFn(update);
+    const event = this.eventLog.append(update);
+    for (const client of this.clients.values()) {
+      if (!client.taskId || client.taskId === event.taskId) {
+        client.send(event);
+      }
+    }
+    
+    // A failing sink must not stop the task that sent the event
+    for (const sink of this.eventSinks) {
+      try {
+        sink(event);
+      } catch (error) {
+        console.error(`Event sink failed on ${event.type}:`, error);
+      }
     }
   }
   
   // Start a new task with the multi-agent system
-  async startTask(prompt, availableTools = []) {
-    const taskId = Date.now().toString();
+  // availableTools are tool definitions only this task's agents can use
+  // options.pipeline names the pipeline to run (defaults to the default pipeline)
+  // options.skipPhases lists skippable phases of the pipeline to leave out
+  // options.agentConfig holds per-role overrides of the model settings for this task only
+  // options.site and options.persona are passed to the prompt templates
+  // options.maxCost overrides the spending cap in USD for this task
+  // options.maxRounds overrides how many rounds review verdicts may start
+  // options.priority places the task in the queue ("high", "normal" or "low")
+  // options.keepBrowserSession keeps the task's browser profile for debugging
+  // options.timeoutMs overrides the task's deadline in milliseconds
+  // options.onTimeout overrides what the task does when time runs out ("fail" or "review")
+  // Throws an error with code QUEUE_FULL when no more tasks may wait, or TASK_VETOED when a plugin refuses the task
+  async startTask(prompt, availableTools = [], options = {}) {
+    this.validateTaskOptions(options, availableTools);
+    
+    // Tasks started in the same millisecond must not share an id, or one would overwrite the other
+    const taskId = crypto.randomUUID();
+    
+    // A full queue rejects the task before plugins hear that it started
+    this.queue.checkCapacity();
     
-    // Register any tools provided for this task
-    for (const tool of availableTools) {
-      this.toolRegistry.registerTool(tool);
+    // Plugins may rewrite the prompt or refuse the task
+    const start = await this.plugins.run('taskStart', { taskId, prompt, options });
+    if (start.veto) {
+      const error = new Error(`Task vetoed by plugin ${start.veto.plugin}: ${start.veto.reason}`);
+      error.code = 'TASK_VETOED';
+      throw error;
     }
+    prompt = start.prompt;
+    
+    const pipeline = this.pipelines.get(options.pipeline);
     
     // Create a new task object
     const task = {
       id: taskId,
       prompt,
-      status: 'thinking',
+      status: 'queued',
+      priority: options.priority || 'normal',
+      keepBrowserSession: options.keepBrowserSession !== undefined ? options.keepBrowserSession : null,
+      browserSession: null,
+      // Tools provided for this task only, see _executeAgentWorkflow
+      tools: availableTools,
+      pendingApproval: null,
+      timeoutMs: options.timeoutMs || null,
+      onTimeout: options.onTimeout || null,
+      pipeline,
+      skipPhases: options.skipPhases || [],
       history: [],
       result: null,
+      plan: null,
+      round: 1,
+      maxRounds: options.maxRounds || this.maxRounds,
+      verdict: null,
+      feedback: null,
+      outputs: {},
+      currentPhase: null,
+      artifacts: [],
+      toolBudget: { max: this.maxToolCalls, used: 0 },
+      usage: new UsageTracker({
+        prices: this.prices,
+        maxCost: options.maxCost !== undefined && options.maxCost !== null ? options.maxCost : this.maxCost
+      }),
+      agentConfig: options.agentConfig || {},
+      variables: {
+        site: options.site || null,
+        persona: options.persona || null
+      },
       startTime: Date.now(),
       endTime: null
     };
     
-    // Store the task
+    // Queue the task first: a full queue rejects it before it is stored
+    // The queue may have filled up while the plugins ran; they still hear that the task ended
+    let queuePosition;
+    try {
+      queuePosition = this.queue.add(taskId, task.priority);
+    } catch (error) {
+      await this.plugins.run('taskEnd', { taskId, prompt, status: 'rejected', result: { error: error.message } });
+      throw error;
+    }
     this.tasks.set(taskId, task);
+    this._saveTask(task);
     
     // Broadcast task started
     this.broadcastUpdate({
       type: 'task_started',
       taskId,
-      status: task.status
+      prompt,
+      status: task.status,
+      priority: task.priority,
+      queuePosition,
+      pipeline: {
+        name: pipeline.name,
+        phases: pipeline.phases.map(phase => ({ id: phase.id, role: phase.role }))
+      },
+      skipPhases: task.skipPhases
     });
     
-    // Start the agent workflow asynchronously
-    this._executeAgentWorkflow(taskId).catch(error => {
-      console.error(`Error in agent workflow for task ${taskId}:`, error);
-      this._updateTaskStatus(taskId, 'failed', { error: error.message });
-    });
+    // Start the agent workflow asynchronously once a slot is free
+    this._dispatch();
     
     return taskId;
   }
   
+  /**
+   * Validate the options of a new task
+   * @param {object} options - The startTask options
+   * @param {Array} availableTools - Tools provided with the task
+   * @throws {Error} - If an option is invalid
+   */
+  validateTaskOptions(options = {}, availableTools = []) {
+    validateAgentConfigOverrides(options.agentConfig);
+    
+    if (!Array.isArray(availableTools)) {
+      throw new Error('tools must be an array of tool definitions');
+    }
+    
+    // Throws if a task tool is invalid or reuses the name of another tool
+    const toolRegistry = this.toolRegistry.createOverlay(availableTools);
+    
+    if (options.maxCost !== undefined && options.maxCost !== null &&
+        (typeof options.maxCost !== 'number' || !Number.isFinite(options.maxCost) || options.maxCost < 0)) {
+      throw new Error('maxCost must be a non-negative number');
+    }
+    
+    if (options.maxRounds !== undefined && options.maxRounds !== null &&
+        (!Number.isInteger(options.maxRounds) || options.maxRounds < 1)) {
+      throw new Error('maxRounds must be a positive integer');
+    }
+    
+    if (options.keepBrowserSession !== undefined && options.keepBrowserSession !== null && typeof options.keepBrowserSession !== 'boolean') {
+      throw new Error('keepBrowserSession must be a boolean');
+    }
+    
+    if (options.priority !== undefined && options.priority !== null && !PRIORITIES.includes(options.priority)) {
+      throw new Error(`priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    
+    if (options.timeoutMs !== undefined && options.timeoutMs !== null &&
+        (!Number.isInteger(options.timeoutMs) || options.timeoutMs < 1)) {
+      throw new Error('timeoutMs must be a positive integer');
+    }
+    
+    if (options.onTimeout !== undefined && options.onTimeout !== null && !TIMEOUT_ACTIONS.includes(options.onTimeout)) {
+      throw new Error(`onTimeout must be one of ${TIMEOUT_ACTIONS.join(', ')}`);
+    }
+    
+    const pipeline = this.pipelines.get(options.pipeline);
+    
+    // Every role needs an agent and every listed tool must exist
+    for (const phase of pipeline.phases) {
+      this.getAgent(phase.role);
+      for (const toolName of phase.tools || []) {
+        if (!toolRegistry.hasTool(toolName)) {
+          throw new Error(`Pipeline ${pipeline.name} phase ${phase.id} uses unknown tool ${toolName}`);
+        }
+      }
+    }
+    
+    if (options.skipPhases !== undefined) {
+      if (!Array.isArray(options.skipPhases)) {
+        throw new Error('skipPhases must be an array of phase ids');
+      }
+      for (const phaseId of options.skipPhases) {
+        const phase = pipeline.phases.find(p => p.id === phaseId);
+        if (!phase) {
+          throw new Error(`Pipeline ${pipeline.name} has no phase ${phaseId}`);
+        }
+        if (!phase.skippable) {
+          throw new Error(`Phase ${phaseId} of pipeline ${pipeline.name} cannot be skipped`);
+        }
+      }
+    }
+  }
+  
   // Get the status of a task
   async getTaskStatus(taskId) {
     const task = this.tasks.get(taskId);
@@ -120,97 +452,1141 @@ class AgentSystem {
       status: task.status,
       result: task.result,
       history: task.history,
+      pipeline: task.pipeline.name,
+      round: task.round,
+      verdict: task.verdict,
+      plan: task.plan,
+      currentPhase: task.currentPhase,
+      priority: task.priority,
+      queuePosition: this.queue.position(task.id),
+      pendingApproval: task.pendingApproval,
+      browserSession: task.browserSession,
+      resumable: task.status === 'interrupted',
+      artifacts: task.artifacts,
+      toolCalls: task.toolBudget.used,
+      usage: task.usage.getSummary(),
       startTime: task.startTime,
       endTime: task.endTime
     };
   }
   
-  // Execute the multi-agent workflow
+  // List every task, newest first, with what a client needs to show it
+  listTasks() {
+    return Array.from(this.tasks.values())
+      .sort((a, b) => b.startTime - a.startTime)
+      .map(task => ({
+        id: task.id,
+        prompt: task.prompt,
+        status: task.status,
+        pipeline: {
+          name: task.pipeline.name,
+          phases: task.pipeline.phases.map(phase => ({ id: phase.id, role: phase.role }))
+        },
+        round: task.round,
+        currentPhase: task.currentPhase,
+        priority: task.priority,
+        queuePosition: this.queue.position(task.id),
+        pendingApproval: task.pendingApproval,
+        resumable: task.status === 'interrupted',
+        outputs: task.outputs,
+        result: task.result,
+        usage: task.usage.getSummary(),
+        startTime: task.startTime,
+        endTime: task.endTime
+      }));
+  }
+  
+  /**
+   * Reload saved tasks, e.g. after a restart
+   * Tasks that were still running are marked as interrupted and can be resumed with resumeTask()
+   * @returns {Promise<string[]>} - Ids of the interrupted tasks
+   */
+  async restoreTasks() {
+    const records = await this.taskStore.list();
+    const interrupted = [];
+    
+    for (const record of records) {
+      if (this.tasks.has(record.id)) continue;
+      
+      const task = this._deserializeTask(record);
+      this.tasks.set(task.id, task);
+      
+      if (!FINISHED_STATUSES.includes(task.status) && task.status !== 'interrupted') {
+        task.history.push({
+          phase: task.currentPhase,
+          type: 'interrupted',
+          round: task.round,
+          timestamp: Date.now()
+        });
+        task.status = 'interrupted';
+        // The interrupted phase starts over, so a call that waited for approval is asked again
+        task.pendingApproval = null;
+        this._saveTask(task);
+      }
+      
+      if (task.status === 'interrupted') {
+        interrupted.push(task.id);
+      }
+    }
+    
+    console.log(`Restored ${records.length} task(s), ${interrupted.length} interrupted`);
+    return interrupted;
+  }
+  
+  /**
+   * Cancel a task
+   * In-flight model calls and tool requests are aborted; outputs of the phases
+   * that completed are kept in the result
+   * @param {string} taskId - The task id
+   * @returns {Promise<string>} - The task id
+   */
+  async cancelTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    if (FINISHED_STATUSES.includes(task.status)) {
+      throw new Error(`Task ${taskId} is ${task.status} and cannot be cancelled`);
+    }
+    
+    console.log(`Cancelling task ${taskId}`);
+    const wasQueued = this.queue.remove(taskId);
+    task.history.push({
+      phase: task.currentPhase,
+      type: 'cancelled',
+      round: task.round,
+      timestamp: Date.now()
+    });
+    
+    // Mark the task first so the workflow ignores the errors the abort causes
+    await this._updateTaskStatus(taskId, 'cancelled', {
+      error: 'Cancelled by user',
+      reason: 'cancelled',
+      outputs: task.outputs,
+      round: task.round,
+      plan: task.plan,
+      usage: task.usage.getSummary()
+    });
+    
+    const control = this.controls.get(taskId);
+    if (control) {
+      control.controller.abort();
+      if (control.resume) control.resume();
+      if (control.decide) control.decide({ approved: false });
+    }
+    
+    if (wasQueued) {
+      this._broadcastQueuePositions();
+    }
+    
+    return taskId;
+  }
+  
+  /**
+   * Approve or reject the tool call a task is waiting on
+   * @param {string} taskId - The task id
+   * @param {boolean} approved - True to run the call, false to report it to the agent as rejected
+   * @param {object} options - Decision options
+   * @param {string} options.approvalId - Id of the approval being decided; guards against deciding a newer one by mistake
+   * @param {string} options.note - Why the call was approved or rejected; a rejection note is passed to the agent
+   * @returns {Promise<string>} - The task id
+   */
+  async decideApproval(taskId, approved, { approvalId = null, note = null } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    const control = this.controls.get(taskId);
+    if (!task.pendingApproval || !control || !control.decide) {
+      throw new Error(`Task ${taskId} is not waiting for approval`);
+    }
+    if (approvalId && approvalId !== task.pendingApproval.id) {
+      throw new Error(`Approval ${approvalId} of task ${taskId} is no longer pending`);
+    }
+    
+    console.log(`Tool call ${task.pendingApproval.tool} of task ${taskId} ${approved ? 'approved' : 'rejected'}`);
+    control.decide({ approved, note });
+    return taskId;
+  }
+  
+  /**
+   * Pause a running task at its next tool call or phase boundary
+   * @param {string} taskId - The task id
+   * @returns {Promise<string>} - The task id
+   */
+  async pauseTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    const control = this.controls.get(taskId);
+    if (!control || task.status === 'paused' || FINISHED_STATUSES.includes(task.status)) {
+      throw new Error(`Task ${taskId} is ${task.status} and cannot be paused`);
+    }
+    
+    if (!control.pauseRequested) {
+      console.log(`Pause requested for task ${taskId}`);
+      control.pauseRequested = true;
+      this.broadcastUpdate({
+        type: 'pause_requested',
+        taskId,
+        timestamp: Date.now()
+      });
+    }
+    
+    return taskId;
+  }
+  
+  /**
+   * Resume a paused or interrupted task
+   * A paused task carries on where it stopped; a pause that was requested but
+   * not reached yet is withdrawn. An interrupted task restarts the phase that
+   * did not complete; outputs of the phases that completed are kept.
+   * @param {string} taskId - The task id
+   * @returns {Promise<string>} - The task id
+   */
+  async resumeTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    const control = this.controls.get(taskId);
+    if (control && !FINISHED_STATUSES.includes(task.status) && (task.status === 'paused' || control.pauseRequested)) {
+      control.pauseRequested = false;
+      if (control.resume) {
+        // The workflow records the resume and restores the status
+        control.resume();
+      } else {
+        this.broadcastUpdate({
+          type: 'task_update',
+          taskId,
+          status: task.status,
+          result: null,
+          timestamp: Date.now()
+        });
+      }
+      return taskId;
+    }
+    
+    if (task.status !== 'interrupted') {
+      throw new Error(`Task ${taskId} is ${task.status} and cannot be resumed`);
+    }
+    
+    // Queue the task first: a full queue rejects it before anything changes
+    const queuePosition = this.queue.add(taskId, task.priority || 'normal');
+    
+    const resumeFrom = task.currentPhase || task.pipeline.phases[0].id;
+    console.log(`Resuming task ${taskId} from ${resumeFrom}`);
+    task.history.push({
+      phase: resumeFrom,
+      type: 'resumed',
+      round: task.round,
+      timestamp: Date.now()
+    });
+    task.status = 'queued';
+    this._saveTask(task);
+    
+    this.broadcastUpdate({
+      type: 'task_resumed',
+      taskId,
+      prompt: task.prompt,
+      status: task.status,
+      pipeline: {
+        name: task.pipeline.name,
+        phases: task.pipeline.phases.map(phase => ({ id: phase.id, role: phase.role }))
+      },
+      resumeFrom,
+      round: task.round,
+      queuePosition,
+      outputs: task.outputs
+    });
+    
+    this._dispatch();
+    
+    return taskId;
+  }
+  
+  // Start queued tasks while there are free slots, then tell waiting tasks where they are
+  _dispatch() {
+    let taskId;
+    while ((taskId = this.queue.take()) !== null) {
+      const runningTaskId = taskId;
+      this._executeAgentWorkflow(runningTaskId)
+        .catch(error => {
+          // The workflow records its own failures; this catches what went wrong around them
+          console.error(`Error in agent workflow for task ${runningTaskId}:`, error);
+          const task = this.tasks.get(runningTaskId);
+          if (task && !FINISHED_STATUSES.includes(task.status)) {
+            return this._updateTaskStatus(runningTaskId, 'failed', { error: error.message });
+          }
+        })
+        .catch(error => {
+          console.error(`Failed to mark task ${runningTaskId} as failed:`, error);
+        })
+        .finally(() => {
+          this.queue.release(runningTaskId);
+          this._dispatch();
+        });
+    }
+    
+    this._broadcastQueuePositions();
+  }
+  
+  // Send every waiting task its position in the queue
+  _broadcastQueuePositions() {
+    const { waiting } = this.queue.getSummary();
+    waiting.forEach((taskId, index) => {
+      this.broadcastUpdate({
+        type: 'queue_position',
+        taskId,
+        position: index + 1,
+        queueLength: waiting.length,
+        timestamp: Date.now()
+      });
+    });
+  }
+  
+  /**
+   * Get the trace of a task
+   * @param {string} taskId - The task id
+   * @returns {Promise<Array<object>>} - The spans written so far, in the order they ended; see TaskTracer
+   */
+  async getTaskTrace(taskId) {
+    if (!this.tasks.has(taskId)) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    return this.taskStore.loadTrace(taskId);
+  }
+  
+  // Execute the task's pipeline, one phase after another
   async _executeAgentWorkflow(taskId) {
     const task = this.tasks.get(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
     
+    // Output of every phase that ran, by phase id
+    const { outputs } = task;
+    const { phases } = task.pipeline;
+    
+    // A resumed task starts at the phase that was interrupted
+    const startIndex = task.currentPhase ? Math.max(phases.findIndex(p => p.id === task.currentPhase), 0) : 0;
+    
+    const control = { controller: new AbortController(), pauseRequested: false, resume: null, decide: null, session: null, toolRegistry: null, timeLimits: [], tracer: null, taskSpan: null, summaryCache: new Map() };
+    this.controls.set(taskId, control);
+    
+    // The task span holds the spans of this run; a resumed task starts another one
+    if (this.tracing) {
+      control.tracer = new TaskTracer({ taskId, taskStore: this.taskStore });
+      control.taskSpan = control.tracer.startSpan('task', taskId, { pipeline: task.pipeline.name, startPhase: phases[startIndex].id });
+    }
+    
+    // The deadline counts from when the task starts running; a task resumed after a restart gets its full time again
+    const timeoutMs = task.timeoutMs || this.taskTimeoutMs;
+    const deadline = new TimeLimit(timeoutMs, {
+      code: 'TASK_DEADLINE',
+      message: `Task ${taskId} ran past its deadline of ${timeoutMs} ms`
+    });
+    control.timeLimits.push(deadline);
+    
+    // Once the deadline has passed only the review of the partial results runs
+    let deadlinePassed = false;
+    
     try {
-      // Step 1: Thinking phase
-      await this._updateTaskStatus(taskId, 'thinking');
-      const thinkingResult = await this.agents.thinker.process({
-        input: task.prompt,
-        context: "You are the thinking agent. Your job is to analyze the user's request, understand the requirements, and identify key aspects that need to be addressed."
-      });
+      // The task's own tools are only visible to its agents and go away with the control
+      control.toolRegistry = this.toolRegistry.createOverlay(task.tools || []);
+      
+      // A task resumed after a restart gets its old browser profile back
+      control.session = await this.browserSessions.acquire(taskId, { keep: task.keepBrowserSession });
+      task.browserSession = {
+        port: control.session.port,
+        userDataDir: control.session.userDataDir,
+        keep: control.session.keep
+      };
+      
+      for (let index = startIndex; index < phases.length; index++) {
+        const phase = phases[index];
+        await this._checkpoint(task);
+        
+        if (task.skipPhases.includes(phase.id)) {
+          console.log(`Skipping phase ${phase.id} of task ${taskId}`);
+          task.history.push({
+            phase: phase.id,
+            type: 'phase_skipped',
+            round: task.round,
+            timestamp: Date.now()
+          });
+          this.broadcastUpdate({
+            type: 'phase_skipped',
+            taskId,
+            phase: phase.id,
+            timestamp: Date.now()
+          });
+          continue;
+        }
+        
+        // A phase a plugin vetoes is skipped
+        const start = await this.plugins.run('phaseStart', { taskId, phase: phase.id, role: phase.role, round: task.round });
+        if (start.veto) {
+          console.log(`Plugin ${start.veto.plugin} vetoed phase ${phase.id} of task ${taskId}: ${start.veto.reason}`);
+          task.history.push({
+            phase: phase.id,
+            type: 'phase_vetoed',
+            round: task.round,
+            plugin: start.veto.plugin,
+            reason: start.veto.reason,
+            timestamp: Date.now()
+          });
+          this.broadcastUpdate({
+            type: 'phase_skipped',
+            taskId,
+            phase: phase.id,
+            reason: start.veto.reason,
+            timestamp: Date.now()
+          });
+          continue;
+        }
+        
+        task.currentPhase = phase.id;
+        await this._updateTaskStatus(taskId, phase.id);
+        
+        let timeout = null;
+        let reviewIndex = -1;
+        try {
+          outputs[phase.id] = await this._runPhaseWithTimeLimit(task, phase, outputs);
+        } catch (error) {
+          if (error.name !== 'TimeoutError') throw error;
+          
+          // Throws the timeout unless the task hands its partial results to a review
+          reviewIndex = this._handleTimeout(task, index, error);
+          timeout = error;
+          outputs[phase.id] = [error.partialOutput, `[Incomplete: ${error.message}]`].filter(Boolean).join('\n\n');
+        }
+        
+        ({ output: outputs[phase.id] } = await this.plugins.run('phaseEnd', {
+          taskId,
+          phase: phase.id,
+          role: phase.role,
+          round: task.round,
+          output: outputs[phase.id],
+          timedOut: Boolean(timeout)
+        }));
+        this._saveArtifact(task, `round-${task.round}-${phase.id}.md`, outputs[phase.id], { phase: phase.id, type: 'output' });
+        
+        task.history.push({
+          phase: phase.id,
+          role: phase.role,
+          round: task.round,
+          promptTemplate: this.getAgent(phase.role).getPromptTemplate(),
+          usage: task.usage.getPhaseUsage(phase.id),
+          output: outputs[phase.id],
+          timestamp: Date.now()
+        });
+        this.broadcastUpdate({
+          type: 'phase_completed',
+          taskId,
+          phase: phase.id,
+          round: task.round,
+          output: outputs[phase.id],
+          timedOut: Boolean(timeout),
+          timestamp: Date.now()
+        });
+        
+        if (timeout) {
+          if (timeout.code === 'TASK_DEADLINE') {
+            // The review still runs under its phase time limit
+            deadlinePassed = true;
+            control.timeLimits = control.timeLimits.filter(limit => limit !== deadline);
+          }
+          
+          // The loop increments the index before the next phase runs
+          index = reviewIndex - 1;
+          continue;
+        }
+        
+        if (phase.output === 'verdict') {
+          const retryFrom = this._applyVerdict(task, phase, outputs[phase.id], { allowRetry: !deadlinePassed });
+          if (retryFrom) {
+            // The loop increments the index before the next phase runs
+            index = phases.findIndex(p => p.id === retryFrom) - 1;
+          }
+        }
+        
+        if (deadlinePassed) {
+          break;
+        }
+      }
+      
+      // Mark task as completed
+      task.currentPhase = null;
+      await this._updateTaskStatus(taskId, 'completed', this._buildResult(task, outputs));
+      
+    } catch (error) {
+      if (task.status === 'cancelled') {
+        // cancelTask already recorded the result
+        console.log(`Task ${taskId} cancelled`);
+        return;
+      }
       
+      if (error.name === 'TimeoutError') {
+        // _handleTimeout already recorded which limit ran out
+        console.warn(`Task ${taskId} failed: ${error.message}`);
+        await this._updateTaskStatus(taskId, 'failed', {
+          error: error.message,
+          reason: error.code === 'TASK_DEADLINE' ? 'task_deadline' : 'phase_timeout',
+          outputs,
+          partialOutput: error.partialOutput || null,
+          round: task.round,
+          plan: task.plan,
+          usage: task.usage.getSummary()
+        });
+        return;
+      }
+      
+      if (error.code === 'SPENDING_CAP_EXCEEDED') {
+        // Not a failure: the run is stopped on purpose and keeps what it produced so far
+        console.warn(`Task ${taskId} stopped: ${error.message}`);
+        task.history.push({
+          phase: task.status,
+          type: 'spending_cap_exceeded',
+          usage: task.usage.getSummary(),
+          timestamp: Date.now()
+        });
+        await this._updateTaskStatus(taskId, 'stopped', {
+          error: error.message,
+          reason: 'spending_cap_exceeded',
+          outputs,
+          round: task.round,
+          plan: task.plan,
+          usage: task.usage.getSummary()
+        });
+        return;
+      }
+      
+      console.error(`Error in agent workflow for task ${taskId}:`, error);
+      await this._updateTaskStatus(taskId, 'failed', { error: error.message });
+    } finally {
+      deadline.stop();
+      if (control.taskSpan) {
+        control.taskSpan.end(task.status, { round: task.round, toolCalls: task.toolBudget.used, cost: task.usage.getSummary().cost });
+      }
+      this.controls.delete(taskId);
+      await this.browserSessions.release(taskId);
+    }
+  }
+  
+  // Wait while a pause is requested, and stop the workflow once the task is cancelled
+  // Runs before every phase and every tool call
+  async _checkpoint(task) {
+    const control = this.controls.get(task.id);
+    if (!control) return;
+    
+    if (!control.controller.signal.aborted && control.pauseRequested) {
+      const previousStatus = task.status;
+      console.log(`Task ${task.id} paused`);
       task.history.push({
-        phase: 'thinking',
-        output: thinkingResult,
+        phase: task.currentPhase,
+        type: 'paused',
+        round: task.round,
         timestamp: Date.now()
       });
+      await this._updateTaskStatus(task.id, 'paused');
       
-      // Step 2: Planning phase
-      await this._updateTaskStatus(taskId, 'planning');
-      const planningResult = await this.agents.planner.process({
-        input: task.prompt,
-        context: "You are the planning agent. Based on the thinking agent's analysis, create a step-by-step plan to accomplish the task.",
-        previousSteps: [{ role: 'thinking', content: thinkingResult }]
+      // Time spent paused does not count against the time limits
+      control.timeLimits.forEach(limit => limit.stop());
+      await new Promise(resolve => {
+        control.resume = resolve;
       });
+      control.resume = null;
+      control.timeLimits.forEach(limit => limit.start());
       
+      if (!control.controller.signal.aborted) {
+        console.log(`Task ${task.id} resumed`);
+        task.history.push({
+          phase: task.currentPhase,
+          type: 'resumed',
+          round: task.round,
+          timestamp: Date.now()
+        });
+        await this._updateTaskStatus(task.id, previousStatus);
+      }
+    }
+    
+    if (control.controller.signal.aborted) {
+      throw createAbortError(`Task ${task.id} was cancelled`);
+    }
+  }
+  
+  // Hold a tool call the approval policy flags until someone approves or rejects it
+  // Resolves to the decision the agent acts on ({ approved, reason })
+  async _authorizeToolCall(task, phase, { tool, args }) {
+    const rule = this.approvalPolicy.check(tool, args);
+    if (!rule) {
+      return { approved: true };
+    }
+    
+    const control = this.controls.get(task.id);
+    const approval = {
+      id: String(task.history.filter(entry => entry.type === 'approval_required').length + 1),
+      phase,
+      tool,
+      args,
+      reason: rule.reason,
+      requestedAt: Date.now()
+    };
+    
+    console.log(`Task ${task.id} waits for approval of ${tool}: ${rule.reason}`);
+    const previousStatus = task.status;
+    task.pendingApproval = approval;
+    task.history.push({
+      phase,
+      type: 'approval_required',
+      round: task.round,
+      approvalId: approval.id,
+      tool,
+      args,
+      reason: rule.reason,
+      timestamp: Date.now()
+    });
+    this.broadcastUpdate({
+      type: 'approval_required',
+      taskId: task.id,
+      phase,
+      approval,
+      timestamp: Date.now()
+    });
+    await this._updateTaskStatus(task.id, 'awaiting_approval');
+    
+    // Time spent waiting for the decision does not count against the time limits
+    control.timeLimits.forEach(limit => limit.stop());
+    const decision = await new Promise(resolve => {
+      control.decide = resolve;
+    });
+    control.decide = null;
+    control.timeLimits.forEach(limit => limit.start());
+    task.pendingApproval = null;
+    
+    if (control.controller.signal.aborted) {
+      throw createAbortError(`Task ${task.id} was cancelled`);
+    }
+    
+    task.history.push({
+      phase,
+      type: 'approval_decision',
+      round: task.round,
+      approvalId: approval.id,
+      tool,
+      args,
+      approved: decision.approved,
+      note: decision.note || null,
+      timestamp: Date.now()
+    });
+    this.broadcastUpdate({
+      type: 'approval_decided',
+      taskId: task.id,
+      phase,
+      approvalId: approval.id,
+      approved: decision.approved,
+      note: decision.note || null,
+      timestamp: Date.now()
+    });
+    await this._updateTaskStatus(task.id, previousStatus);
+    
+    return { approved: decision.approved, reason: decision.note };
+  }
+  
+  // Run a phase under its own time limit and the task's deadline
+  // A phase that runs out of time fails with a TimeoutError carrying the output produced so far as partialOutput
+  async _runPhaseWithTimeLimit(task, phase, outputs) {
+    const control = this.controls.get(task.id);
+    const timeoutMs = phase.timeoutMs || this.phaseTimeoutMs;
+    const limit = new TimeLimit(timeoutMs, {
+      code: 'PHASE_TIMEOUT',
+      message: `Phase ${phase.id} ran longer than ${timeoutMs} ms`
+    });
+    control.timeLimits.push(limit);
+    
+    const span = control.tracer
+      ? control.tracer.startSpan('phase', phase.id, { role: phase.role, round: task.round }, control.taskSpan.spanId)
+      : null;
+    let status = 'ok';
+    
+    try {
+      // The deadline may have passed between phases
+      const expired = control.timeLimits.find(other => other.expired);
+      if (expired) {
+        throw createAbortError(expired.message);
+      }
+      return await this._runPhase(task, phase, outputs, span);
+    } catch (error) {
+      const expired = control.controller.signal.aborted ? null : control.timeLimits.find(other => other.expired);
+      if (!expired) {
+        status = control.controller.signal.aborted ? 'cancelled' : 'error';
+        throw error;
+      }
+      
+      status = 'timeout';
+      const timeout = expired.signal.reason;
+      timeout.partialOutput = error.partialOutput || '';
+      throw timeout;
+    } finally {
+      limit.stop();
+      control.timeLimits = control.timeLimits.filter(other => other !== limit);
+      if (span) {
+        span.end(status);
+      }
+    }
+  }
+  
+  // Record a phase that ran out of time
+  // Returns the index of the review phase its partial output goes to, or throws the timeout when the task fails instead
+  _handleTimeout(task, index, timeout) {
+    const { phases } = task.pipeline;
+    const phase = phases[index];
+    
+    console.warn(`Task ${task.id}: ${timeout.message}`);
+    task.history.push({
+      phase: phase.id,
+      type: 'timeout',
+      round: task.round,
+      code: timeout.code,
+      message: timeout.message,
+      timestamp: Date.now()
+    });
+    this.broadcastUpdate({
+      type: 'phase_timeout',
+      taskId: task.id,
+      phase: phase.id,
+      round: task.round,
+      code: timeout.code,
+      message: timeout.message,
+      timestamp: Date.now()
+    });
+    
+    // A review cannot review itself, so a review that runs out of time fails the task
+    const reviewIndex = phases.findIndex((other, otherIndex) => otherIndex > index &&
+      other.output === 'verdict' && !task.skipPhases.includes(other.id));
+    if ((task.onTimeout || this.onTimeout) !== 'review' || reviewIndex === -1) {
+      throw timeout;
+    }
+    
+    console.log(`Task ${task.id} hands the partial output of ${phase.id} to ${phases[reviewIndex].id}`);
+    return reviewIndex;
+  }
+  
+  // Run one phase of a pipeline and return its output
+  // Model and tool calls are traced inside phaseSpan when there is one
+  async _runPhase(task, phase, outputs, phaseSpan = null) {
+    const agent = this.getAgent(phase.role);
+    const control = this.controls.get(task.id);
+    const toolRegistry = control && control.toolRegistry ? control.toolRegistry : this.toolRegistry;
+    
+    // Outputs of the phases this one reads; skipped phases are left out
+    const inputs = phase.inputs
+      .filter(id => outputs[id] !== undefined)
+      .map(id => ({ role: id, content: outputs[id] }));
+    
+    // Every phase of a retried round sees the review feedback that started it
+    if (task.feedback) {
+      inputs.push(task.feedback);
+    }
+    
+    const params = {
+      input: task.prompt,
+      variables: { ...task.variables, retryPhases: phase.retryPhases.join(', ') },
+      previousSteps: await this._fitPreviousSteps(task, phase.id, inputs),
+      toolBudget: task.toolBudget,
+      onToolCall: (call) => this._recordToolCall(task.id, phase.id, call),
+      onRetry: (info) => this._recordRetry(task.id, phase.id, info),
+      onStream: this._createStreamHandler(task.id, phase.id),
+      onUsage: (call) => this._recordUsage(task.id, phase.id, call),
+      config: task.agentConfig[phase.role],
+      tools: phase.tools ? phase.tools.map(name => toolRegistry.getTool(name)).filter(Boolean) : null,
+      toolRegistry,
+      localTools: phase.trackPlan && task.plan ? [this._createStepProgressTool(task)] : [],
+      signal: control ? AbortSignal.any([control.controller.signal, ...control.timeLimits.map(limit => limit.signal)]) : null,
+      toolTimeoutMs: phase.toolTimeoutMs,
+      runHook: (hook, payload) => this.plugins.run(hook, { taskId: task.id, phase: phase.id, ...payload }),
+      onSpan: phaseSpan ? (span) => control.tracer.record({ ...span, parentSpanId: phaseSpan.spanId }) : null,
+      checkpoint: () => this._checkpoint(task),
+      authorizeToolCall: (call) => this._authorizeToolCall(task, phase.id, call),
+      mcpClient: control && control.session ? control.session.client : null
+    };
+    
+    if (phase.output === 'plan') {
+      return this._createPlan(task, phase, agent, params);
+    }
+    return agent.process(params);
+  }
+  
+  // Act on the verdict of a review phase
+  // options.allowRetry is false once the task is out of time, so a retry verdict keeps the last result
+  // Returns the phase the next round starts from, or null when the task carries on
+  _applyVerdict(task, phase, output, { allowRetry = true } = {}) {
+    const { verdict, errors } = parseVerdict(output, phase.retryPhases);
+    
+    if (!verdict) {
+      // A review that cannot be read does not hold the task up
+      console.warn(`Review verdict for task ${task.id} is invalid, treating it as a pass:`, errors);
       task.history.push({
-        phase: 'planning',
-        output: planningResult,
+        phase: phase.id,
+        type: 'verdict_invalid',
+        round: task.round,
+        errors,
         timestamp: Date.now()
       });
-      
-      // Step 3: Execution phase
-      await this._updateTaskStatus(taskId, 'executing');
-      const executionResult = await this.agents.executor.process({
-        input: task.prompt,
-        context: "You are the executor agent. Execute the plan created by the planning agent, using tools when necessary.",
-        previousSteps: [
-          { role: 'thinking', content: thinkingResult },
-          { role: 'planning', content: planningResult }
-        ]
+    }
+    
+    task.verdict = verdict;
+    this.broadcastUpdate({
+      type: 'review_verdict',
+      taskId: task.id,
+      phase: phase.id,
+      round: task.round,
+      verdict,
+      timestamp: Date.now()
+    });
+    
+    if (!verdict || verdict.verdict === 'pass') {
+      return null;
+    }
+    
+    if (!allowRetry) {
+      console.warn(`Task ${task.id} is past its deadline; keeping the last result`);
+      return null;
+    }
+    
+    if (task.round >= task.maxRounds) {
+      console.warn(`Task ${task.id} reached its limit of ${task.maxRounds} rounds; keeping the last result`);
+      task.history.push({
+        phase: phase.id,
+        type: 'max_rounds_reached',
+        round: task.round,
+        timestamp: Date.now()
       });
+      return null;
+    }
+    
+    const retryFrom = verdict.retryFrom || phase.retryPhases[0];
+    if (!retryFrom) {
+      return null;
+    }
+    
+    task.round++;
+    task.feedback = { role: 'review_feedback', content: verdict.feedback };
+    
+    // Plan progress starts over when the plan is executed again
+    const retryIndex = task.pipeline.phases.findIndex(p => p.id === retryFrom);
+    const planPhase = task.pipeline.phases.find(p => p.output === 'plan');
+    if (task.plan && planPhase && task.pipeline.phases.indexOf(planPhase) < retryIndex) {
+      task.plan = initializePlanProgress(task.plan);
+      this.broadcastUpdate({
+        type: 'plan_created',
+        taskId: task.id,
+        phase: planPhase.id,
+        plan: task.plan,
+        timestamp: Date.now()
+      });
+    }
+    
+    console.log(`Task ${task.id} starts round ${task.round} from ${retryFrom}: ${verdict.feedback}`);
+    task.history.push({
+      phase: phase.id,
+      type: 'round_started',
+      round: task.round,
+      retryFrom,
+      feedback: verdict.feedback,
+      timestamp: Date.now()
+    });
+    this.broadcastUpdate({
+      type: 'round_started',
+      taskId: task.id,
+      round: task.round,
+      retryFrom,
+      feedback: verdict.feedback,
+      phases: task.pipeline.phases.slice(retryIndex).map(p => ({ id: p.id, role: p.role })),
+      timestamp: Date.now()
+    });
+    
+    return retryFrom;
+  }
+  
+  // Build the result of a completed task
+  _buildResult(task, outputs) {
+    const result = {
+      pipeline: task.pipeline.name,
+      outputs,
+      finalResult: outputs[task.pipeline.result] !== undefined ? outputs[task.pipeline.result] : null,
+      rounds: task.round,
+      verdict: task.verdict,
+      plan: task.plan,
+      usage: task.usage.getSummary(),
+      // Phases that ran out of time and handed partial output to a review
+      timeouts: task.history
+        .filter(entry => entry.type === 'timeout')
+        .map(({ phase, round, code, message }) => ({ phase, round, code, message })),
+      promptTemplates: {}
+    };
+    
+    for (const phase of task.pipeline.phases) {
+      if (outputs[phase.id] === undefined) continue;
       
+      // Phases of the default pipeline keep their original result keys
+      const key = LEGACY_RESULT_KEYS[phase.id] || phase.id;
+      if (LEGACY_RESULT_KEYS[phase.id]) {
+        result[key] = outputs[phase.id];
+      }
+      result.promptTemplates[key] = this.getAgent(phase.role).getPromptTemplate();
+    }
+    
+    return result;
+  }
+  
+  // Compress previous steps that would push a phase's prompt over the token budget
+  // The raw task and the latest plan are always kept intact
+  async _fitPreviousSteps(task, phase, previousSteps) {
+    const protectedRoles = [
+      ...task.pipeline.phases.filter(p => p.output === 'plan').map(p => p.id),
+      'review_feedback'
+    ];
+    // Summaries are paid model calls and count against the phase's usage and the spending cap
+    // They are cached for this run only and dropped with the task's control when it ends
+    const control = this.controls.get(task.id);
+    const { steps, compression } = await this.contextManager.fit(task.prompt, previousSteps, {
+      protectedRoles,
+      summaryCache: control ? control.summaryCache : undefined,
+      onUsage: ({ model, usage }) => this._recordUsage(task.id, phase, { role: 'summarizer', model, usage })
+    });
+    
+    if (compression) {
+      console.log(`Compressed ${compression.steps.length} previous step(s) for ${phase}: ~${compression.originalTokens} -> ~${compression.finalTokens} tokens`);
       task.history.push({
-        phase: 'executing',
-        output: executionResult,
+        phase,
+        type: 'context_compressed',
+        ...compression,
         timestamp: Date.now()
       });
-      
-      // Step 4: Review phase
-      await this._updateTaskStatus(taskId, 'reviewing');
-      const reviewResult = await this.agents.reviewer.process({
-        input: task.prompt,
-        context: "You are the reviewer agent. Review the execution results, identify any issues, and suggest improvements.",
-        previousSteps: [
-          { role: 'thinking', content: thinkingResult },
-          { role: 'planning', content: planningResult },
-          { role: 'executing', content: executionResult }
-        ]
+    }
+    
+    return steps;
+  }
+  
+  // Run a planning phase until it returns a plan that matches the plan schema
+  async _createPlan(task, phase, agent, params) {
+    let feedback = null;
+    
+    for (let attempt = 1; attempt <= this.maxPlanAttempts; attempt++) {
+      const output = await agent.process({
+        ...params,
+        previousSteps: feedback ? [...params.previousSteps, feedback] : params.previousSteps
       });
       
+      const { plan, errors } = parsePlan(output);
+      if (plan) {
+        task.plan = initializePlanProgress(plan);
+        this.broadcastUpdate({
+          type: 'plan_created',
+          taskId: task.id,
+          phase: phase.id,
+          plan: task.plan,
+          timestamp: Date.now()
+        });
+        return output;
+      }
+      
+      console.warn(`Planner attempt ${attempt} for task ${task.id} returned an invalid plan:`, errors);
       task.history.push({
-        phase: 'reviewing',
-        output: reviewResult,
+        phase: phase.id,
+        type: 'plan_rejected',
+        attempt,
+        errors,
+        output,
         timestamp: Date.now()
       });
       
-      // Mark task as completed
-      await this._updateTaskStatus(taskId, 'completed', {
-        thinking: thinkingResult,
-        planning: planningResult,
-        execution: executionResult,
-        review: reviewResult,
-        finalResult: reviewResult // The review is considered the final result
+      feedback = {
+        role: 'plan validation',
+        content: `Your previous response was rejected because it is not a valid plan:\n- ${errors.join('\n- ')}\n\nPrevious response:\n${output}`
+      };
+    }
+    
+    throw new Error(`Planner did not produce a valid plan after ${this.maxPlanAttempts} attempts`);
+  }
+  
+  // Create the tool the executor uses to report progress against plan steps
+  _createStepProgressTool(task) {
+    return {
+      name: 'report_step_progress',
+      description: 'Report progress on a step of the plan',
+      parameters: {
+        type: 'object',
+        properties: {
+          stepId: {
+            type: 'string',
+            description: 'The id of the plan step'
+          },
+          status: {
+            type: 'string',
+            description: 'One of: in_progress, completed, failed, skipped'
+          },
+          note: {
+            type: 'string',
+            description: 'Short note on what happened'
+          }
+        },
+        required: ['stepId', 'status']
+      },
+      execute: async ({ stepId, status, note }) => {
+        const step = task.plan && task.plan.steps.find(s => s.id === stepId);
+        if (!step) {
+          throw new Error(`Unknown plan step: ${stepId}`);
+        }
+        if (!STEP_STATUSES.includes(status) || status === 'pending') {
+          throw new Error(`Invalid step status: ${status}`);
+        }
+        
+        step.status = status;
+        step.note = note || null;
+        step.updatedAt = Date.now();
+        
+        this.broadcastUpdate({
+          type: 'plan_progress',
+          taskId: task.id,
+          stepId,
+          status,
+          note: step.note,
+          timestamp: step.updatedAt
+        });
+        
+        return { stepId, status };
+      }
+    };
+  }
+  
+  // Record a tool call made during a phase and broadcast it to clients
+  // Screenshots the call captured are saved as artifacts instead of going into the history
+  _recordToolCall(taskId, phase, call) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    
+    const { images = [], ...record } = call;
+    const entry = {
+      phase,
+      type: 'tool_call',
+      ...record
+    };
+    if (images.length > 0) {
+      entry.artifacts = images.map((image, index) => this._saveArtifact(
+        task,
+        `round-${task.round}-${phase}-${record.tool}-${task.artifacts.length + 1}-${index + 1}.${IMAGE_EXTENSIONS[image.mimeType] || 'png'}`,
+        Buffer.from(image.data, 'base64'),
+        { phase, type: 'screenshot', mimeType: image.mimeType }
+      ));
+    }
+    task.history.push(entry);
+    
+    this.broadcastUpdate({
+      type: 'tool_call',
+      taskId,
+      ...entry
+    });
+  }
+  
+  // Create the callback that forwards an agent's streamed output to clients
+  // Stream events are not stored in the history; the phase output recorded there
+  // equals the text assembled from the stream
+  _createStreamHandler(taskId, phase) {
+    if (!this.streaming) return null;
+    
+    return (event) => {
+      this.broadcastUpdate({
+        type: 'agent_stream',
+        taskId,
+        phase,
+        ...event,
+        timestamp: Date.now()
+      });
+    };
+  }
+  
+  // Add the token usage of a model call to the task and broadcast the new totals
+  // Throws once the task's spending cap is exceeded, which stops the agent
+  _recordUsage(taskId, phase, call) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    
+    try {
+      task.usage.record({ ...call, phase });
+    } finally {
+      this.broadcastUpdate({
+        type: 'usage_update',
+        taskId,
+        phase,
+        role: call.role,
+        model: call.model,
+        call: call.usage,
+        usage: task.usage.getSummary(),
+        timestamp: Date.now()
       });
-      
-    } catch (error) {
-      console.error(`Error in agent workflow for task ${taskId}:`, error);
-      await this._updateTaskStatus(taskId, 'failed', { error: error.message });
-      throw error;
     }
   }
   
+  // Record a retried or failed-over model call and broadcast it to clients
+  _recordRetry(taskId, phase, info) {
+    const task = this.tasks.get(taskId);
+    if (!task) return;
+    
+    const entry = {
+      phase,
+      type: 'llm_retry',
+      ...info,
+      timestamp: Date.now()
+    };
+    task.history.push(entry);
+    
+    this.broadcastUpdate({
+      type: 'llm_retry',
+      taskId,
+      ...entry
+    });
+  }
+  
+  // Save a task to the task store in the background
+  // A failed save is logged; the task keeps running from memory
+  _saveTask(task) {
+    this.taskStore.save(this._serializeTask(task)).catch(error => {
+      console.error(`Failed to save task ${task.id}:`, error);
+    });
+  }
+  
+  // Save an artifact of a task in the background and return its name
+  _saveArtifact(task, name, data, details = {}) {
+    task.artifacts.push({ name, round: task.round, ...details, timestamp: Date.now() });
+    this.taskStore.saveArtifact(task.id, name, data).catch(error => {
+      console.error(`Failed to save artifact ${name} of task ${task.id}:`, error);
+    });
+    return name;
+  }
+  
+  // Turn a task into a plain object the task store can save
+  _serializeTask(task) {
+    return {
+      ...task,
+      usage: task.usage.getSummary()
+    };
+  }
+  
+  // Turn a saved task back into a task
+  _deserializeTask(record) {
+    return {
+      ...record,
+      usage: UsageTracker.fromSummary(record.usage, { prices: this.prices })
+    };
+  }
+  
   // Update task status and broadcast to clients
   async _updateTaskStatus(taskId, status, result = null) {
     const task = this.tasks.get(taskId);
@@ -218,14 +1594,24 @@ class AgentSystem {
       throw new Error(`Task ${taskId} not found`);
     }
     
+    // A cancelled task keeps its status while its workflow winds down
+    if (task.status === 'cancelled') {
+      return;
+    }
+    
     task.status = status;
+    if (FINISHED_STATUSES.includes(status)) {
+      task.endTime = Date.now();
+      
+      // Plugins see every task that ends and may rewrite its result, e.g. to redact it
+      ({ result } = await this.plugins.run('taskEnd', { taskId, prompt: task.prompt, status, result }));
+    }
+    
     if (result) {
       task.result = result;
     }
     
-    if (status === 'completed' || status === 'failed') {
-      task.endTime = Date.now();
-    }
+    this._saveTask(task);
     
     // Broadcast status update
     this.broadcastUpdate({
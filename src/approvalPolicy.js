@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+// Tool calls that need a human decision unless a policy file says otherwise
+const DEFAULT_APPROVAL_RULES = [
+  { tool: 'run_command', reason: 'Runs a shell command' },
+  { tool: 'write_file', reason: 'Writes a file' },
+  { tool: 'browser_file_upload', reason: 'Uploads local files to a website' },
+  {
+    tool: 'browser_click',
+    args: { element: 'buy now|place order|complete (the )?purchase|pay now|confirm payment' },
+    reason: 'Clicks a purchase button'
+  }
+];
+
+/**
+ * Decides which tool calls need a human decision before they run
+ *
+ * A rule names a tool and, optionally, patterns its arguments must match:
+ *
+ *   { "tool": "browser_click", "args": { "element": "buy now|checkout" }, "reason": "Clicks a purchase button" }
+ *
+ * Patterns are case-insensitive regular expressions tested against the
+ * argument's value (objects and arrays as JSON). A call needs approval when
+ * every pattern of a rule for its tool matches; a rule without `args` matches
+ * every call of the tool. Rules are read from the JSON file named by
+ * APPROVAL_POLICY_PATH (`{ "rules": [...] }`), which replaces the defaults;
+ * an empty list turns approvals off.
+ */
+class ApprovalPolicy {
+  /**
+   * @param {object} options - Policy options
+   * @param {Array} options.rules - The rules (defaults to the policy file, or DEFAULT_APPROVAL_RULES)
+   * @param {string} options.policyPath - Path to a JSON policy file (defaults to APPROVAL_POLICY_PATH)
+   */
+  constructor(options = {}) {
+    const rules = options.rules || this._readPolicyFile(options.policyPath || process.env.APPROVAL_POLICY_PATH) || DEFAULT_APPROVAL_RULES;
+    this.rules = rules.map((rule, index) => this._compileRule(rule, index));
+  }
+  
+  /**
+   * Find the rule a tool call matches
+   * @param {string} toolName - The tool the model asked for
+   * @param {object} args - The call's arguments
+   * @returns {{tool: string, reason: string}|null} - The matching rule, or null if the call may run without approval
+   */
+  check(toolName, args = {}) {
+    const rule = this.rules.find(candidate => candidate.tool === toolName &&
+      candidate.patterns.every(({ name, pattern }) => {
+        const value = (args || {})[name];
+        if (value === undefined || value === null) return false;
+        return pattern.test(typeof value === 'string' ? value : JSON.stringify(value));
+      }));
+    
+    return rule ? { tool: rule.tool, reason: rule.reason } : null;
+  }
+  
+  /**
+   * Read the rules from a policy file
+   * @param {string} policyPath - The file path (optional)
+   * @returns {Array|null} - The rules, or null if no file is configured
+   * @private
+   */
+  _readPolicyFile(policyPath) {
+    if (!policyPath) return null;
+    
+    try {
+      const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+      if (!Array.isArray(policy.rules)) {
+        throw new Error('"rules" must be an array');
+      }
+      console.log(`Loaded approval policy from ${policyPath}`);
+      return policy.rules;
+    } catch (error) {
+      throw new Error(`Failed to read approval policy ${policyPath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Validate a rule and compile its argument patterns
+   * @param {object} rule - The rule
+   * @param {number} index - Position of the rule, for error messages
+   * @returns {{tool: string, reason: string, patterns: Array}} - The compiled rule
+   * @private
+   */
+  _compileRule(rule, index) {
+    if (!rule || typeof rule.tool !== 'string' || !rule.tool) {
+      throw new Error(`Approval rule ${index} needs a tool name`);
+    }
+    
+    const patterns = Object.entries(rule.args || {}).map(([name, source]) => {
+      try {
+        return { name, pattern: new RegExp(source, 'i') };
+      } catch (error) {
+        throw new Error(`Approval rule ${index} has an invalid pattern for ${name}: ${error.message}`);
+      }
+    });
+    
+    return {
+      tool: rule.tool,
+      reason: rule.reason || `Calls ${rule.tool}`,
+      patterns
+    };
+  }
+}
+
+module.exports = { DEFAULT_APPROVAL_RULES, ApprovalPolicy };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPClient } = require('./mcpClient');
+
+/**
+ * Gives every running task its own Playwright MCP server and browser profile
+ *
+ * The pool owns a range of ports starting at `basePort`, one per task that may
+ * run at once. A session is an MCPClient bound to a free port with a
+ * `userDataDir` of its own, so cookies, carts and logins never leak from one
+ * task into another. The server process starts on the session's first tool
+ * call and is stopped when the task releases the session; the profile is then
+ * deleted unless the session is kept for debugging.
+ *
+ * A pool given a `client` hands that client to every session instead, e.g. a
+ * stub in tests. It is shared by all tasks and never stopped by the pool.
+ */
+class BrowserSessionPool {
+  /**
+   * @param {object} options - Pool options
+   * @param {number} options.size - Sessions that may exist at once (defaults to 1)
+   * @param {number} options.basePort - First port of the pool (defaults to MCP_PORT or 3001)
+   * @param {string} options.profilesDir - Directory for the browser profiles (defaults to MCP_PROFILES_DIR or <tmp>/mcp-profiles)
+   * @param {boolean} options.keepSessions - Keep the profile of every session (defaults to MCP_KEEP_SESSIONS)
+   * @param {object} options.clientOptions - Options passed to every MCPClient (browser, headless, vision, ...)
+   * @param {Function} options.createClient - Creates the client of a session (defaults to new MCPClient(options))
+   * @param {MCPClient} options.client - A client every session shares instead of creating its own (optional)
+   */
+  constructor(options = {}) {
+    this.size = options.size || 1;
+    this.basePort = options.basePort || parseInt(process.env.MCP_PORT, 10) || 3001;
+    this.profilesDir = options.profilesDir || process.env.MCP_PROFILES_DIR || path.join(os.tmpdir(), 'mcp-profiles');
+    this.keepSessions = options.keepSessions !== undefined
+      ? options.keepSessions
+      : process.env.MCP_KEEP_SESSIONS === 'true';
+    this.clientOptions = options.clientOptions || {};
+    this.createClient = options.createClient || ((clientOptions) => new MCPClient(clientOptions));
+    this.client = options.client || null;
+    
+    // Sessions by task id
+    this.sessions = new Map();
+  }
+  
+  /**
+   * Create the session of a task
+   * A task that already has a profile, e.g. one resumed after a restart, gets it back
+   * @param {string} taskId - The task id
+   * @param {object} options - Session options
+   * @param {boolean} options.keep - Keep the profile when the session is released (defaults to the pool setting)
+   * @returns {Promise<{taskId: string, port: number, userDataDir: string, keep: boolean, client: MCPClient}>} - The session
+   * @throws {Error} - If every port of the pool is in use
+   */
+  async acquire(taskId, { keep } = {}) {
+    if (this.sessions.has(taskId)) {
+      return this.sessions.get(taskId);
+    }
+    
+    const port = this._freePort();
+    if (port === null) {
+      throw new Error(`No free browser session: all ${this.size} ports from ${this.basePort} are in use`);
+    }
+    
+    const userDataDir = path.join(this.profilesDir, String(taskId));
+    await fs.promises.mkdir(userDataDir, { recursive: true });
+    
+    const session = {
+      taskId,
+      port,
+      userDataDir,
+      keep: keep !== undefined && keep !== null ? keep : this.keepSessions,
+      client: this.client || this.createClient({ ...this.clientOptions, port, userDataDir })
+    };
+    this.sessions.set(taskId, session);
+    
+    console.log(`Browser session for task ${taskId} on port ${port} (profile ${userDataDir})`);
+    return session;
+  }
+  
+  /**
+   * Tear down the session of a task: stop its server and delete its profile unless it is kept
+   * @param {string} taskId - The task id
+   * @returns {Promise<void>}
+   */
+  async release(taskId) {
+    const session = this.sessions.get(taskId);
+    if (!session) return;
+    
+    // The port is free again once the server is stopped, even if that failed
+    try {
+      if (session.client !== this.client) {
+        await session.client.stop();
+      }
+    } catch (error) {
+      console.error(`Failed to stop the browser session of task ${taskId}:`, error);
+    } finally {
+      this.sessions.delete(taskId);
+    }
+    
+    if (session.keep) {
+      console.log(`Kept the browser profile of task ${taskId} in ${session.userDataDir}`);
+      return;
+    }
+    
+    try {
+      await fs.promises.rm(session.userDataDir, { recursive: true, force: true });
+    } catch (error) {
+      console.error(`Failed to delete the browser profile of task ${taskId}:`, error);
+    }
+  }
+  
+  /**
+   * Stop the server of every session, e.g. when the process exits
+   * Profiles are kept so the interrupted tasks get them back when they are resumed
+   * @returns {Promise<void>}
+   */
+  async stopAll() {
+    const sessions = Array.from(this.sessions.values()).filter(session => session.client !== this.client);
+    await Promise.all(sessions.map(session => session.client.stop().catch(error => {
+      console.error(`Failed to stop the browser session of task ${session.taskId}:`, error);
+    })));
+  }
+  
+  /**
+   * Find a port of the pool no session uses
+   * @returns {number|null} - The port, or null if all are in use
+   * @private
+   */
+  _freePort() {
+    const used = new Set(Array.from(this.sessions.values()).map(session => session.port));
+    for (let port = this.basePort; port < this.basePort + this.size; port++) {
+      if (!used.has(port)) return port;
+    }
+    return null;
+  }
+}
+
+module.exports = { BrowserSessionPool };
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+/**
+ * Keeps the previous steps passed to an agent within a token budget
+ *
+ * When the estimated size of the steps exceeds the budget, the oldest steps are
+ * replaced with summaries until the prompt fits. Summaries come from the LLM
+ * provider, or from a heuristic head/tail excerpt when the strategy is
+ * 'heuristic' or the model call fails. Protected steps (the latest plan) are
+ * never compressed.
+ */
+class ContextManager {
+  /**
+   * @param {object} options - Context manager options
+   * @param {LLMProvider} options.provider - Provider used for LLM summaries
+   * @param {number} options.maxTokens - Token budget for the previous steps and task
+   * @param {string} options.strategy - 'llm' or 'heuristic'
+   * @param {string} options.summaryModel - Model used for summaries (defaults to the provider's default)
+   * @param {number} options.summaryTokens - Target size of each summary in tokens
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.maxTokens = options.maxTokens || parseInt(process.env.CONTEXT_MAX_TOKENS, 10) || 32000;
+    this.strategy = options.strategy || process.env.CONTEXT_SUMMARY_STRATEGY || 'llm';
+    this.summaryModel = options.summaryModel || process.env.CONTEXT_SUMMARY_MODEL || null;
+    this.summaryTokens = options.summaryTokens || parseInt(process.env.CONTEXT_SUMMARY_TOKENS, 10) || 500;
+  }
+  
+  /**
+   * Estimate the number of tokens in a text (roughly four characters per token)
+   * @param {string} text - The text
+   * @returns {number} - The estimated token count
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+  
+  /**
+   * Compress previous steps until they fit the token budget
+   * @param {string} input - The raw task, always kept intact
+   * @param {Array} steps - Previous steps ({ role, content })
+   * @param {object} options - Fit options
+   * @param {string[]} options.protectedRoles - Roles whose latest step must stay intact
+   * @param {Function} options.onUsage - Called with ({ model, usage }) after every summary model call, which may throw to stop the task
+   * @param {Map} options.summaryCache - Summaries by content hash, shared by the fit calls of one task run so a step is only summarized once
+   * @returns {Promise<{steps: Array, compression: object|null}>} - The steps to use and a record of what was compressed
+   */
+  async fit(input, steps, { protectedRoles = ['planning'], onUsage = null, summaryCache = new Map() } = {}) {
+    const originalTokens = this._totalTokens(input, steps);
+    if (originalTokens <= this.maxTokens) {
+      return { steps, compression: null };
+    }
+    
+    // The latest step of each protected role is never compressed
+    const protectedIndexes = new Set();
+    for (const role of protectedRoles) {
+      for (let i = steps.length - 1; i >= 0; i--) {
+        if (steps[i].role === role) {
+          protectedIndexes.add(i);
+          break;
+        }
+      }
+    }
+    
+    const fitted = steps.map(step => ({ ...step }));
+    const compressed = [];
+    
+    // Compress the oldest steps first
+    for (let i = 0; i < fitted.length; i++) {
+      if (this._totalTokens(input, fitted) <= this.maxTokens) break;
+      if (protectedIndexes.has(i) || fitted[i].summarized) continue;
+      
+      const step = fitted[i];
+      const stepTokens = this.estimateTokens(step.content);
+      if (stepTokens <= this.summaryTokens) continue;
+      
+      const { summary, method } = await this._summarize(step, summaryCache, onUsage);
+      fitted[i] = {
+        ...step,
+        content: `[Summary of earlier output]\n${summary}`,
+        summarized: true
+      };
+      
+      compressed.push({
+        role: step.role,
+        method,
+        originalTokens: stepTokens,
+        summaryTokens: this.estimateTokens(fitted[i].content)
+      });
+    }
+    
+    const finalTokens = this._totalTokens(input, fitted);
+    if (finalTokens > this.maxTokens) {
+      console.warn(`Context still exceeds budget after compression: ~${finalTokens} of ${this.maxTokens} tokens`);
+    }
+    
+    return {
+      steps: fitted,
+      compression: compressed.length > 0
+        ? { originalTokens, finalTokens, maxTokens: this.maxTokens, steps: compressed }
+        : null
+    };
+  }
+  
+  /**
+   * Summarize a step with the configured strategy
+   * @param {object} step - The step to summarize
+   * @param {Map} summaryCache - Summaries by content hash
+   * @param {Function} onUsage - Called with the usage of the summary model call (optional)
+   * @returns {Promise<{summary: string, method: string}>} - The summary and how it was produced
+   * @private
+   */
+  async _summarize(step, summaryCache, onUsage = null) {
+    const key = crypto.createHash('sha256').update(`${step.role}\n${step.content}`).digest('hex');
+    if (summaryCache.has(key)) {
+      return summaryCache.get(key);
+    }
+    
+    let result = null;
+    let usage = null;
+    const model = this.summaryModel || (this.provider && this.provider.defaultModel);
+    if (this.strategy === 'llm' && this.provider) {
+      try {
+        const response = await this.provider.generateContent({
+          model,
+          generationConfig: {
+            temperature: 0.2,
+            maxOutputTokens: this.summaryTokens * 2
+          },
+          parts: [
+            `Summarize the following output of the ${step.role} agent in at most ${Math.round(this.summaryTokens * 0.75)} words. ` +
+            'Keep concrete facts other agents depend on: URLs, element references, decisions, errors and results.\n\n' +
+            step.content
+          ]
+        });
+        usage = response.usage;
+        
+        const { text } = response;
+        if (text && text.trim()) {
+          result = { summary: text.trim(), method: 'llm' };
+        }
+      } catch (error) {
+        console.warn(`LLM summary of ${step.role} output failed, using heuristic summary: ${error.message}`);
+      }
+    }
+    
+    if (!result) {
+      result = { summary: this._heuristicSummary(step.content), method: 'heuristic' };
+    }
+    
+    summaryCache.set(key, result);
+    
+    // Reported outside the try so a spending cap error is not mistaken for a failed summary
+    if (onUsage && usage) {
+      onUsage({ model, usage });
+    }
+    return result;
+  }
+  
+  /**
+   * Keep the beginning and end of a text within the summary size
+   * @param {string} content - The text to shorten
+   * @returns {string} - The shortened text
+   * @private
+   */
+  _heuristicSummary(content) {
+    const maxChars = this.summaryTokens * 4;
+    if (content.length <= maxChars) return content;
+    
+    const head = content.slice(0, Math.floor(maxChars * 0.6));
+    const tail = content.slice(content.length - Math.floor(maxChars * 0.4));
+    const omitted = content.length - head.length - tail.length;
+    return `${head}\n[... ${omitted} characters omitted ...]\n${tail}`;
+  }
+  
+  /**
+   * Estimate the tokens of the task plus every step
+   * @param {string} input - The raw task
+   * @param {Array} steps - Previous steps
+   * @returns {number} - The estimated token count
+   * @private
+   */
+  _totalTokens(input, steps) {
+    return steps.reduce((total, step) => total + this.estimateTokens(step.content), this.estimateTokens(input));
+  }
+}
+
+module.exports = { ContextManager };
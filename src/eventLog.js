@@ -0,0 +1,81 @@
+/**
+ * Numbers the events sent to clients and keeps the latest ones of every task
+ *
+ * Every event gets an id one higher than the event before it, so a client
+ * that lost its connection can ask for the events after the last id it saw.
+ * Only the newest `maxEventsPerTask` events of each task are kept; older ones
+ * cannot be replayed. Ids start at the time the process started, in
+ * milliseconds, so they keep increasing across restarts; a client asking for
+ * events after an id this log has not reached yet gets every kept event.
+ *
+ * Streamed output arrives in many small events, so events of the
+ * `streamTypes` are kept in a buffer of their own, capped at
+ * `maxStreamEventsPerTask`. A long model turn then cannot push events like
+ * `approval_required` out of the log.
+ */
+class EventLog {
+  /**
+   * @param {object} options - Log options
+   * @param {number} options.maxEventsPerTask - Events kept per task (defaults to SSE_EVENT_LOG_SIZE or 1000)
+   * @param {number} options.maxStreamEventsPerTask - Stream events kept per task (defaults to SSE_STREAM_LOG_SIZE or 200)
+   * @param {string[]} options.streamTypes - Event types kept in the stream buffer (defaults to agent_stream)
+   * @param {number} options.startId - Id of the event before the first one (defaults to the current time in milliseconds)
+   */
+  constructor(options = {}) {
+    this.maxEventsPerTask = options.maxEventsPerTask || parseInt(process.env.SSE_EVENT_LOG_SIZE, 10) || 1000;
+    this.maxStreamEventsPerTask = options.maxStreamEventsPerTask || parseInt(process.env.SSE_STREAM_LOG_SIZE, 10) || 200;
+    this.streamTypes = options.streamTypes || ['agent_stream'];
+    this.lastId = options.startId !== undefined ? options.startId : Date.now();
+    
+    // Events by task id; events that belong to no task are kept under null
+    this.events = new Map();
+    this.streamEvents = new Map();
+  }
+  
+  /**
+   * Give an event the next id and keep it
+   * @param {object} event - The event
+   * @returns {object} - The event with its id
+   */
+  append(event) {
+    const entry = { ...event, id: ++this.lastId };
+    const key = entry.taskId || null;
+    
+    const isStream = this.streamTypes.includes(entry.type);
+    const log = isStream ? this.streamEvents : this.events;
+    const limit = isStream ? this.maxStreamEventsPerTask : this.maxEventsPerTask;
+    
+    if (!log.has(key)) {
+      log.set(key, []);
+    }
+    const taskEvents = log.get(key);
+    taskEvents.push(entry);
+    if (taskEvents.length > limit) {
+      taskEvents.shift();
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Get the kept events that came after an event
+   * @param {number} lastEventId - Id of the last event the client saw
+   * @param {string} taskId - Only return events of this task (optional)
+   * @returns {object[]} - The events, oldest first
+   */
+  since(lastEventId, taskId = null) {
+    // An id from before a restart may be higher than any id of this run
+    if (lastEventId > this.lastId) {
+      lastEventId = 0;
+    }
+    
+    const logs = taskId
+      ? [this.events.get(taskId) || [], this.streamEvents.get(taskId) || []]
+      : [...this.events.values(), ...this.streamEvents.values()];
+    return logs
+      .flatMap(taskEvents => taskEvents.filter(event => event.id > lastEventId))
+      .sort((a, b) => a.id - b.id);
+  }
+}
+
+module.exports = { EventLog };
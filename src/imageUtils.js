@@ -0,0 +1,103 @@
+// sharp is an optional dependency: without it images are passed through unchanged
+let sharp = null;
+let sharpChecked = false;
+
+/**
+ * Load sharp on first use
+ * @returns {Function|null} - The sharp module, or null if it is not installed
+ * @private
+ */
+function _loadSharp() {
+  if (!sharpChecked) {
+    sharpChecked = true;
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      console.warn('sharp is not installed; screenshots will be sent to the model without downscaling');
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Extract base64 images from a tool result
+ * Handles MCP content arrays ({ type: 'image', data, mimeType }) and plain { data, mimeType } results
+ * @param {any} result - The tool result
+ * @returns {Array<{data: string, mimeType: string}>} - The images found
+ */
+function extractImages(result) {
+  const images = [];
+  
+  const visit = (value, depth) => {
+    if (!value || typeof value !== 'object' || depth > 4) return;
+    
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, depth + 1));
+      return;
+    }
+    
+    const mimeType = value.mimeType || value.mime_type;
+    if (typeof value.data === 'string' && (value.type === 'image' || (mimeType && mimeType.startsWith('image/')))) {
+      images.push({ data: value.data, mimeType: mimeType || 'image/png' });
+      return;
+    }
+    
+    Object.values(value).forEach(item => visit(item, depth + 1));
+  };
+  
+  visit(result, 0);
+  return images;
+}
+
+/**
+ * Replace image data in a tool result with a placeholder
+ * @param {any} result - The tool result
+ * @returns {any} - A copy of the result without base64 image data
+ */
+function stripImageData(result) {
+  if (!result || typeof result !== 'object') return result;
+  
+  if (Array.isArray(result)) {
+    return result.map(stripImageData);
+  }
+  
+  const mimeType = result.mimeType || result.mime_type;
+  const stripped = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (key === 'data' && typeof value === 'string' && (result.type === 'image' || (mimeType && mimeType.startsWith('image/')))) {
+      stripped[key] = '[image attached]';
+    } else {
+      stripped[key] = stripImageData(value);
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Downscale an image so its width is at most maxWidth, re-encoding it as JPEG
+ * @param {{data: string, mimeType: string}} image - Base64 image
+ * @param {object} options - Downscaling options
+ * @param {number} options.maxWidth - Maximum width in pixels (0 disables downscaling)
+ * @param {number} options.quality - JPEG quality (1-100)
+ * @returns {Promise<{data: string, mimeType: string}>} - The downscaled image
+ */
+async function downscaleImage(image, { maxWidth, quality = 70 } = {}) {
+  if (!maxWidth) return image;
+  
+  const sharpModule = _loadSharp();
+  if (!sharpModule) return image;
+  
+  try {
+    const buffer = await sharpModule(Buffer.from(image.data, 'base64'))
+      .resize({ width: maxWidth, withoutEnlargement: true })
+      .jpeg({ quality })
+      .toBuffer();
+    
+    return { data: buffer.toString('base64'), mimeType: 'image/jpeg' };
+  } catch (error) {
+    console.warn(`Failed to downscale image, sending the original: ${error.message}`);
+    return image;
+  }
+}
+
+module.exports = { extractImages, stripImageData, downscaleImage };
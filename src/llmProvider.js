@@ -0,0 +1,352 @@
+const fs = require('fs');
+const { abortableDelay } = require('./abort');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Base class for LLM providers
+ *
+ * A provider hands out chat sessions and one-shot completions. Every model
+ * response is normalized to { text, functionCalls, usage } so agents do not
+ * depend on a specific SDK. `usage` is { promptTokens, outputTokens, totalTokens }
+ * or null when the provider does not report it.
+ */
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.defaultModel = options.model || null;
+    this.visionModel = options.visionModel || options.model || null;
+  }
+  
+  /**
+   * Start a chat session
+   * @param {object} options - Chat options
+   * @param {string} options.model - The model to use (defaults to the provider's default model)
+   * @param {string} options.role - The role of the agent starting the chat
+   * @param {object} options.generationConfig - Generation settings (temperature, topP, ...)
+   * @param {string} options.systemInstruction - System instruction for the model (optional)
+   * @param {Array} options.functionDeclarations - Tool declarations available to the model
+   * @param {number} options.maxImages - Number of most recent images kept in the chat context (optional)
+   * @returns {object} - A chat session with a sendMessage(message, { model, onText, signal }) method.
+   *   `model` switches that turn to another model; `onText` streams the response and is
+   *   called with each text delta as it arrives; aborting `signal` cancels the request
+   */
+  startChat(options = {}) {
+    throw new Error(`${this.name} provider does not implement startChat`);
+  }
+  
+  /**
+   * Generate content in a single request
+   * @param {object} options - Request options
+   * @param {string} options.model - The model to use
+   * @param {object} options.generationConfig - Generation settings
+   * @param {Array} options.parts - Prompt parts (strings or inline data parts)
+   * @returns {Promise<{text: string, functionCalls: Array, usage: object}>} - The normalized response
+   */
+  async generateContent(options = {}) {
+    throw new Error(`${this.name} provider does not implement generateContent`);
+  }
+}
+
+/**
+ * Provider backed by the Google Generative AI SDK
+ */
+class GeminiProvider extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'gemini',
+      model: options.model || 'gemini-2.5-pro-exp-03-25',
+      visionModel: options.visionModel || 'gemini-1.5-flash'
+    });
+    this.genAI = new GoogleGenerativeAI(options.apiKey);
+  }
+  
+  startChat({ model, generationConfig, systemInstruction, functionDeclarations, maxImages } = {}) {
+    const getModel = (name) => {
+      const modelParams = { model: name || model || this.defaultModel };
+      if (systemInstruction) {
+        modelParams.systemInstruction = systemInstruction;
+      }
+      return this.genAI.getGenerativeModel(modelParams);
+    };
+    
+    const tools = functionDeclarations && functionDeclarations.length > 0
+      ? [{ functionDeclarations }]
+      : undefined;
+    
+    // The chat history is kept here rather than in the SDK's ChatSession, which
+    // refuses messages that mix function responses with image parts
+    const history = [];
+    
+    return {
+      // options.model switches this turn to another model, e.g. a fallback
+      sendMessage: async (message, options = {}) => {
+        const userTurn = { role: 'user', parts: this._toParts(message) };
+        const contents = [...history, userTurn];
+        this._pruneImages(contents, maxImages);
+        
+        const request = { contents, generationConfig, tools };
+        const requestOptions = options.signal ? { signal: options.signal } : {};
+        let response;
+        if (options.onText) {
+          // Stream the response, forwarding text as it arrives; the SDK aggregates the chunks
+          const result = await getModel(options.model).generateContentStream(request, requestOptions);
+          for await (const chunk of result.stream) {
+            const delta = this._extractText(chunk);
+            if (delta) {
+              options.onText(delta);
+            }
+          }
+          response = await result.response;
+        } else {
+          const result = await getModel(options.model).generateContent(request, requestOptions);
+          response = result.response;
+        }
+        
+        // Only commit the turn once the request succeeded, so a retry can resend it
+        history.push(userTurn);
+        const candidate = response.candidates && response.candidates[0];
+        if (candidate && candidate.content) {
+          history.push({ role: 'model', parts: candidate.content.parts || [] });
+        }
+        
+        return this._normalizeResponse(response);
+      }
+    };
+  }
+  
+  async generateContent({ model, generationConfig, parts } = {}) {
+    const generativeModel = this.genAI.getGenerativeModel({
+      model: model || this.defaultModel,
+      generationConfig
+    });
+    
+    const result = await generativeModel.generateContent(parts);
+    return this._normalizeResponse(result.response);
+  }
+  
+  /**
+   * Convert a message into content parts
+   * @param {string|Array} message - A string or an array of strings and parts
+   * @returns {Array} - Array of parts
+   * @private
+   */
+  _toParts(message) {
+    const items = Array.isArray(message) ? message : [message];
+    return items.map(item => (typeof item === 'string' ? { text: item } : item));
+  }
+  
+  /**
+   * Replace all but the most recent images in the history with a placeholder
+   * @param {Array} history - The chat history
+   * @param {number} maxImages - Number of images to keep (undefined keeps all)
+   * @private
+   */
+  _pruneImages(history, maxImages) {
+    if (maxImages === undefined || maxImages === null) return;
+    
+    let kept = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+      const parts = history[i].parts;
+      for (let j = parts.length - 1; j >= 0; j--) {
+        if (!parts[j].inlineData) continue;
+        
+        if (kept < maxImages) {
+          kept++;
+        } else {
+          parts[j] = { text: '[Earlier screenshot removed from context]' };
+        }
+      }
+    }
+  }
+  
+  /**
+   * Get the text parts of a streamed chunk
+   * Unlike chunk.text(), this does not warn about chunks that only carry function calls
+   * @param {object} chunk - A streamed response chunk
+   * @returns {string} - The chunk's text
+   * @private
+   */
+  _extractText(chunk) {
+    const candidate = chunk.candidates && chunk.candidates[0];
+    if (!candidate || !candidate.content || !candidate.content.parts) return '';
+    
+    return candidate.content.parts
+      .filter(part => typeof part.text === 'string')
+      .map(part => part.text)
+      .join('');
+  }
+  
+  /**
+   * Normalize a Gemini response
+   * @param {object} response - The SDK response
+   * @returns {{text: string, functionCalls: Array, usage: object}} - The normalized response
+   * @private
+   */
+  _normalizeResponse(response) {
+    return {
+      text: response.text(),
+      functionCalls: response.functionCalls() || [],
+      usage: this._normalizeUsage(response.usageMetadata)
+    };
+  }
+  
+  /**
+   * Normalize Gemini usage metadata
+   * Thinking tokens are billed as output, so they are counted with the candidates
+   * @param {object} usageMetadata - The response's usage metadata
+   * @returns {object|null} - Token usage ({ promptTokens, outputTokens, totalTokens })
+   * @private
+   */
+  _normalizeUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    return {
+      promptTokens,
+      outputTokens,
+      totalTokens: usageMetadata.totalTokenCount || promptTokens + outputTokens
+    };
+  }
+}
+
+/**
+ * Scripted provider that returns canned text and function calls
+ *
+ * Script entries are consumed in order. An entry may name a `role`, in which
+ * case it is only returned to chats started by an agent with that role. When
+ * the script runs out, a default text response is returned. An entry with an
+ * `error` ({ status, message }) makes that request fail instead.
+ */
+class MockProvider extends LLMProvider {
+  /**
+   * @param {object} options - Mock options
+   * @param {Array} options.script - Scripted responses ({ role, text, functionCalls, usage, delayMs } or a plain string)
+   * @param {string} options.scriptPath - Path to a JSON file containing the script
+   * @param {string} options.defaultText - Text returned once the script is exhausted
+   */
+  constructor(options = {}) {
+    super({ name: 'mock', model: 'mock-model', visionModel: 'mock-vision-model' });
+    
+    let script = options.script || [];
+    if (options.scriptPath) {
+      script = JSON.parse(fs.readFileSync(options.scriptPath, 'utf8'));
+    }
+    
+    this.script = script.map(entry => (typeof entry === 'string' ? { text: entry } : entry));
+    this.defaultText = options.defaultText || 'Mock response.';
+    
+    // Every request received, for inspection in tests
+    this.calls = [];
+  }
+  
+  startChat({ model, role, generationConfig, systemInstruction, functionDeclarations, maxImages } = {}) {
+    return {
+      sendMessage: async (message, options = {}) => {
+        this.calls.push({
+          type: 'chat',
+          model: options.model || model || this.defaultModel,
+          role,
+          generationConfig,
+          systemInstruction,
+          maxImages,
+          message,
+          functionDeclarations,
+          streamed: Boolean(options.onText)
+        });
+        
+        const { delayMs, ...response } = this._nextResponse(role, message);
+        if (delayMs || (options.signal && options.signal.aborted)) {
+          await abortableDelay(delayMs, options.signal);
+        }
+        if (options.onText && response.text) {
+          // Stream the text word by word, like a real provider would in chunks
+          for (const delta of response.text.match(/\S+\s*|\s+/g)) {
+            options.onText(delta);
+          }
+        }
+        return response;
+      }
+    };
+  }
+  
+  async generateContent({ model, parts } = {}) {
+    this.calls.push({ type: 'generate', model: model || this.defaultModel, parts });
+    const { delayMs, ...response } = this._nextResponse(null, parts);
+    if (delayMs) {
+      await abortableDelay(delayMs);
+    }
+    return response;
+  }
+  
+  /**
+   * Take the next scripted response for a role
+   * Usage is taken from the entry, or estimated at four characters per token
+   * @param {string} role - The role of the requesting agent
+   * @param {string|Array} message - The request, for the usage estimate
+   * @returns {{text: string, functionCalls: Array, usage: object}} - The normalized response
+   * @private
+   */
+  _nextResponse(role, message) {
+    const index = this.script.findIndex(entry => !entry.role || entry.role === role);
+    if (index === -1) {
+      return { text: this.defaultText, functionCalls: [], usage: this._estimateUsage(message, this.defaultText) };
+    }
+    
+    const [entry] = this.script.splice(index, 1);
+    if (entry.error) {
+      const error = new Error(entry.error.message || 'Mock error');
+      error.status = entry.error.status;
+      throw error;
+    }
+    
+    return {
+      text: entry.text || '',
+      functionCalls: entry.functionCalls || [],
+      usage: entry.usage || this._estimateUsage(message, (entry.text || '') + JSON.stringify(entry.functionCalls || [])),
+      delayMs: entry.delayMs || 0
+    };
+  }
+  
+  /**
+   * Estimate token usage from the request and response sizes
+   * @param {string|Array} message - The request
+   * @param {string} output - The response text
+   * @returns {object} - Token usage ({ promptTokens, outputTokens, totalTokens })
+   * @private
+   */
+  _estimateUsage(message, output) {
+    const promptTokens = Math.ceil(JSON.stringify(message || '').length / 4);
+    const outputTokens = Math.ceil(output.length / 4);
+    return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+  }
+}
+
+/**
+ * Create an LLM provider from options or environment variables
+ * @param {object} options - Provider options
+ * @param {string} options.provider - Provider name (gemini or mock)
+ * @returns {LLMProvider} - The provider instance
+ */
+function createProvider(options = {}) {
+  const name = options.provider || process.env.LLM_PROVIDER || 'gemini';
+  
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: options.apiKey || process.env.GEMINI_API_KEY,
+        model: options.model || process.env.LLM_MODEL,
+        visionModel: options.visionModel || process.env.LLM_VISION_MODEL
+      });
+    case 'mock':
+      return new MockProvider({
+        script: options.script,
+        scriptPath: options.scriptPath || process.env.MOCK_PROVIDER_SCRIPT,
+        defaultText: options.defaultText
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = { LLMProvider, GeminiProvider, MockProvider, createProvider };
@@ -3,6 +3,8 @@ const http = require('http');
 const https = require('https');
 const { URL } = require('url');
 const EventEmitter = require('events');
+const { sanitizeSchema, formatDropped } = require('./schemaSanitizer');
+const { createAbortError } = require('./abort');
 
 class MCPClient extends EventEmitter {
   constructor(options = {}) {
@@ -159,9 +161,11 @@ class MCPClient extends EventEmitter {
    * Execute a tool via the Playwright MCP server
    * @param {string} toolName - The name of the tool to execute
    * @param {object} args - The arguments to pass to the tool
+   * @param {object} options - Execution options
+   * @param {AbortSignal} options.signal - Aborts the request to the server
    * @returns {Promise<any>} - The result of the tool execution
    */
-  async executeTool(toolName, args) {
+  async executeTool(toolName, args, { signal = null } = {}) {
     try {
       if (!this.isRunning) {
         console.log('Playwright MCP server is not running, starting it now...');
@@ -175,11 +179,15 @@ class MCPClient extends EventEmitter {
       
       // Make the request to the Playwright MCP server
       const endpoint = `${this.baseUrl}/api/tools/${formattedToolName}`;
-      const response = await this._makeRequest('POST', endpoint, args);
+      const response = await this._makeRequest('POST', endpoint, args, signal);
       
       console.log(`Tool ${formattedToolName} execution result:`, response);
       return response;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log(`Playwright MCP tool ${toolName} was aborted`);
+        throw error;
+      }
       console.error(`Error executing tool ${toolName}:`, error);
       throw new Error(`Tool execution failed: ${error.message}`);
     }
@@ -190,9 +198,10 @@ class MCPClient extends EventEmitter {
    * @param {string} method - The HTTP method (GET, POST, etc.)
    * @param {string} url - The URL to make the request to
    * @param {object} data - The data to send with the request (for POST, PUT, etc.)
+   * @param {AbortSignal} signal - Aborts the request (optional)
    * @returns {Promise<any>} - The response data
    */
-  _makeRequest(method, url, data = null) {
+  _makeRequest(method, url, data = null, signal = null) {
     return new Promise((resolve, reject) => {
       const parsedUrl = new URL(url);
       const options = {
@@ -206,6 +215,9 @@ class MCPClient extends EventEmitter {
         },
         timeout: this.options.timeout
       };
+      if (signal) {
+        options.signal = signal;
+      }
 
       const client = parsedUrl.protocol === 'https:' ? https : http;
       
@@ -231,6 +243,10 @@ class MCPClient extends EventEmitter {
       });
       
       req.on('error', (error) => {
+        if (error.name === 'AbortError') {
+          reject(createAbortError(`Request to ${parsedUrl.pathname} was aborted`));
+          return;
+        }
         reject(new Error(`Request failed: ${error.message}`));
       });
       
@@ -284,50 +300,19 @@ class MCPClient extends EventEmitter {
   }
   
   /**
-   * Validate and fix tool definitions to ensure they are compatible with Gemini API
-   * @param {Array} tools - Array of tool definitions to validate and fix
+   * Sanitize tool parameter schemas so they are compatible with the LLM provider
+   * @param {Array} tools - Array of tool definitions to sanitize
    * @private
    */
   _validateAndFixToolDefinitions(tools) {
     for (const tool of tools) {
       if (!tool.parameters) continue;
       
-      // Ensure type is set
-      if (!tool.parameters.type) {
-        tool.parameters.type = 'object';
-      }
+      const { schema, dropped } = sanitizeSchema(tool.parameters, { path: tool.name });
+      tool.parameters = schema;
       
-      // Process properties
-      if (tool.parameters.properties) {
-        Object.keys(tool.parameters.properties).forEach(propKey => {
-          const prop = tool.parameters.properties[propKey];
-          
-          // Remove default field if present (not supported by Gemini API)
-          if (prop.default !== undefined) {
-            delete prop.default;
-          }
-          
-          // Add items field to array properties if missing
-          if (prop.type === 'array' && !prop.items) {
-            prop.items = {
-              type: 'string'
-            };
-            console.log(`Added missing items field to array property: ${propKey} in tool ${tool.name}`);
-          }
-          
-          // Process items for arrays
-          if (prop.items && typeof prop.items === 'object') {
-            // Remove default field from items if present
-            if (prop.items.default !== undefined) {
-              delete prop.items.default;
-            }
-            
-            // Ensure items has a type
-            if (!prop.items.type) {
-              prop.items.type = 'string';
-            }
-          }
-        });
+      if (dropped.length > 0) {
+        console.log(`Sanitized schema for ${tool.name}:\n${formatDropped(dropped)}`);
       }
     }
   }
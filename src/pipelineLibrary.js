@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+// The yaml package is optional: without it only JSON pipelines are loaded
+let yaml = null;
+let yamlChecked = false;
+
+/**
+ * Load the yaml package on first use
+ * @returns {object|null} - The yaml module, or null if it is not installed
+ * @private
+ */
+function _loadYaml() {
+  if (!yamlChecked) {
+    yamlChecked = true;
+    try {
+      yaml = require('yaml');
+    } catch (error) {
+      console.warn('The yaml package is not installed; YAML pipelines are ignored');
+    }
+  }
+  return yaml;
+}
+
+const PHASE_KEYS = ['id', 'role', 'description', 'inputs', 'skippable', 'tools', 'output', 'trackPlan', 'retryPhases', 'timeoutMs', 'toolTimeoutMs'];
+
+// Kinds of output a phase can produce
+const PHASE_OUTPUTS = ['text', 'plan', 'verdict'];
+
+/**
+ * Loads pipeline definitions from a directory
+ *
+ * A pipeline is a `<name>.json` (or `.yaml`/`.yml`) file listing the phases a
+ * task runs through, in order:
+ *
+ *   {
+ *     "description": "Plan, execute and review without a thinking phase",
+ *     "phases": [
+ *       { "id": "planning", "role": "planner", "output": "plan" },
+ *       { "id": "executing", "role": "executor", "inputs": ["planning"], "trackPlan": true },
+ *       { "id": "reviewing", "role": "reviewer", "inputs": ["planning", "executing"] }
+ *     ],
+ *     "result": "reviewing"
+ *   }
+ *
+ * Each phase names the agent role that runs it and the earlier phases whose
+ * output it receives. `skippable` lets a task skip the phase, `tools` limits
+ * the tools the agent may use, `output: "plan"` validates the output as a plan
+ * and `trackPlan` gives the agent the step progress tool. `output: "verdict"`
+ * makes the phase a review whose "retry" verdict starts another round from one
+ * of its `retryPhases` (defaults to its inputs). `timeoutMs` and
+ * `toolTimeoutMs` override the time limits of the phase and of each of its
+ * tool calls in milliseconds. `result` names the phase whose output is the
+ * task's final result (defaults to the last phase).
+ */
+class PipelineLibrary {
+  /**
+   * @param {object} options - Library options
+   * @param {string} options.directory - Pipeline directory (defaults to PIPELINES_DIR or ./pipelines)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.PIPELINES_DIR || path.join(__dirname, '..', 'pipelines');
+    this.defaultPipeline = options.defaultPipeline || process.env.DEFAULT_PIPELINE || 'default';
+    this.pipelines = new Map();
+    this.load();
+  }
+  
+  /**
+   * (Re)load every pipeline in the directory
+   */
+  load() {
+    this.pipelines.clear();
+    
+    if (!fs.existsSync(this.directory)) {
+      throw new Error(`Pipeline directory not found: ${this.directory}`);
+    }
+    
+    for (const file of fs.readdirSync(this.directory)) {
+      const extension = path.extname(file);
+      if (!['.json', '.yaml', '.yml'].includes(extension)) continue;
+      
+      const name = path.basename(file, extension);
+      const source = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      
+      let definition;
+      try {
+        if (extension === '.json') {
+          definition = JSON.parse(source);
+        } else {
+          const yamlModule = _loadYaml();
+          if (!yamlModule) continue;
+          definition = yamlModule.parse(source);
+        }
+      } catch (error) {
+        throw new Error(`Failed to read pipeline ${file}: ${error.message}`);
+      }
+      
+      this.pipelines.set(name, this._normalize(name, definition));
+    }
+    
+    console.log(`Loaded ${this.pipelines.size} pipelines from ${this.directory}`);
+  }
+  
+  /**
+   * Check if a pipeline exists
+   * @param {string} name - The pipeline name
+   * @returns {boolean} - True if the pipeline exists
+   */
+  has(name) {
+    return this.pipelines.has(name);
+  }
+  
+  /**
+   * Get a pipeline by name
+   * @param {string} name - The pipeline name (defaults to the default pipeline)
+   * @returns {object} - The pipeline ({ name, description, phases, result })
+   */
+  get(name) {
+    const pipelineName = name || this.defaultPipeline;
+    const pipeline = this.pipelines.get(pipelineName);
+    if (!pipeline) {
+      throw new Error(`Unknown pipeline: ${pipelineName}`);
+    }
+    return pipeline;
+  }
+  
+  /**
+   * List the available pipelines
+   * @returns {Array<{name: string, description: string, phases: Array}>} - Pipeline summaries
+   */
+  list() {
+    return Array.from(this.pipelines.values()).map(pipeline => ({
+      name: pipeline.name,
+      description: pipeline.description,
+      phases: pipeline.phases.map(phase => ({ id: phase.id, role: phase.role, skippable: phase.skippable }))
+    }));
+  }
+  
+  /**
+   * Validate a pipeline definition and fill in defaults
+   * @param {string} name - The pipeline name
+   * @param {object} definition - The parsed definition
+   * @returns {object} - The pipeline
+   * @throws {Error} - If the definition is invalid
+   * @private
+   */
+  _normalize(name, definition) {
+    const fail = (message) => {
+      throw new Error(`Invalid pipeline ${name}: ${message}`);
+    };
+    
+    if (!definition || !Array.isArray(definition.phases) || definition.phases.length === 0) {
+      fail('"phases" must be a non-empty array');
+    }
+    
+    const ids = new Set();
+    const phases = definition.phases.map((phase, index) => {
+      if (!phase || typeof phase.id !== 'string' || !phase.id) fail(`phases[${index}].id must be a non-empty string`);
+      if (typeof phase.role !== 'string' || !phase.role) fail(`phase ${phase.id} needs a role`);
+      if (ids.has(phase.id)) fail(`phase id ${phase.id} is not unique`);
+      
+      for (const key of Object.keys(phase)) {
+        if (!PHASE_KEYS.includes(key)) fail(`phase ${phase.id} has unknown key ${key}`);
+      }
+      
+      const inputs = phase.inputs || [];
+      if (!Array.isArray(inputs)) fail(`phase ${phase.id} inputs must be an array`);
+      for (const input of inputs) {
+        if (!ids.has(input)) fail(`phase ${phase.id} input ${input} is not an earlier phase`);
+      }
+      
+      if (phase.tools !== undefined && (!Array.isArray(phase.tools) || phase.tools.some(tool => typeof tool !== 'string'))) {
+        fail(`phase ${phase.id} tools must be an array of tool names`);
+      }
+      
+      if (phase.output !== undefined && !PHASE_OUTPUTS.includes(phase.output)) {
+        fail(`phase ${phase.id} output must be one of ${PHASE_OUTPUTS.join(', ')}`);
+      }
+      
+      const retryPhases = phase.retryPhases || (phase.output === 'verdict' ? inputs : []);
+      if (!Array.isArray(retryPhases)) fail(`phase ${phase.id} retryPhases must be an array`);
+      if (retryPhases.length > 0 && phase.output !== 'verdict') fail(`phase ${phase.id} has retryPhases but no verdict output`);
+      for (const retryPhase of retryPhases) {
+        if (!ids.has(retryPhase)) fail(`phase ${phase.id} retry phase ${retryPhase} is not an earlier phase`);
+      }
+      
+      for (const key of ['timeoutMs', 'toolTimeoutMs']) {
+        if (phase[key] !== undefined && (!Number.isInteger(phase[key]) || phase[key] < 1)) {
+          fail(`phase ${phase.id} ${key} must be a positive integer`);
+        }
+      }
+      
+      ids.add(phase.id);
+      return {
+        id: phase.id,
+        role: phase.role,
+        description: phase.description || '',
+        inputs,
+        skippable: phase.skippable === true,
+        tools: phase.tools || null, // null means the role's tools from the registry
+        output: phase.output || 'text',
+        trackPlan: phase.trackPlan === true,
+        retryPhases,
+        timeoutMs: phase.timeoutMs || null, // null means the default phase time limit
+        toolTimeoutMs: phase.toolTimeoutMs || null
+      };
+    });
+    
+    const result = definition.result || phases[phases.length - 1].id;
+    if (!ids.has(result)) {
+      fail(`result ${result} is not a phase`);
+    }
+    
+    return {
+      name,
+      description: definition.description || '',
+      phases,
+      result
+    };
+  }
+}
+
+module.exports = { PipelineLibrary };
@@ -0,0 +1,151 @@
+// JSON Schema of the plan the planner agent must return
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    goal: {
+      type: 'string',
+      description: 'One-sentence summary of what the journey achieves'
+    },
+    steps: {
+      type: 'array',
+      description: 'Ordered steps of the journey',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Unique step id, e.g. "step-1"' },
+          intent: { type: 'string', description: 'What the user is trying to do in this step' },
+          targetPage: { type: 'string', description: 'URL or name of the page the step happens on' },
+          expectedOutcome: { type: 'string', description: 'What should happen when the step succeeds' },
+          successCheck: { type: 'string', description: 'How to verify the outcome, e.g. an element or text to look for' }
+        },
+        required: ['id', 'intent', 'targetPage', 'expectedOutcome', 'successCheck']
+      }
+    }
+  },
+  required: ['steps']
+};
+
+// Statuses the executor can report for a step
+const STEP_STATUSES = ['pending', 'in_progress', 'completed', 'failed', 'skipped'];
+
+/**
+ * Extract the JSON object from an agent's output
+ * Accepts bare JSON or JSON wrapped in a ```json code fence
+ * @param {string} text - The agent output
+ * @returns {{value: any, errors: string[]}} - The parsed JSON, or the reasons it could not be parsed
+ */
+function extractJson(text) {
+  if (!text || typeof text !== 'string') {
+    return { value: null, errors: ['The response was empty'] };
+  }
+  
+  let json = text.trim();
+  const fenced = json.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    json = fenced[1].trim();
+  } else {
+    const start = json.indexOf('{');
+    const end = json.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      json = json.slice(start, end + 1);
+    }
+  }
+  
+  try {
+    return { value: JSON.parse(json), errors: [] };
+  } catch (error) {
+    return { value: null, errors: [`The response is not valid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Parse a plan from the planner's output
+ * @param {string} text - The planner output
+ * @returns {{plan: object|null, errors: string[]}} - The parsed plan, or the reasons it is invalid
+ */
+function parsePlan(text) {
+  const { value: plan, errors: jsonErrors } = extractJson(text);
+  if (jsonErrors.length > 0) {
+    return { plan: null, errors: jsonErrors };
+  }
+  
+  const errors = validatePlan(plan);
+  return { plan: errors.length === 0 ? plan : null, errors };
+}
+
+/**
+ * Validate a plan against PLAN_SCHEMA
+ * @param {object} plan - The plan to validate
+ * @returns {string[]} - Validation errors (empty if the plan is valid)
+ */
+function validatePlan(plan) {
+  const errors = [];
+  
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return ['The plan must be a JSON object'];
+  }
+  
+  if (plan.goal !== undefined && typeof plan.goal !== 'string') {
+    errors.push('"goal" must be a string');
+  }
+  
+  if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+    errors.push('"steps" must be a non-empty array');
+    return errors;
+  }
+  
+  const stepSchema = PLAN_SCHEMA.properties.steps.items;
+  const ids = new Set();
+  
+  plan.steps.forEach((step, index) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(`steps[${index}] must be an object`);
+      return;
+    }
+    
+    for (const field of stepSchema.required) {
+      if (typeof step[field] !== 'string' || step[field].trim() === '') {
+        errors.push(`steps[${index}].${field} must be a non-empty string`);
+      }
+    }
+    
+    if (typeof step.id === 'string') {
+      if (ids.has(step.id)) {
+        errors.push(`steps[${index}].id "${step.id}" is not unique`);
+      }
+      ids.add(step.id);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Create the task-side copy of a plan with a status on every step
+ * @param {object} plan - A valid plan
+ * @returns {object} - The plan with step statuses
+ */
+function initializePlanProgress(plan) {
+  return {
+    goal: plan.goal || null,
+    steps: plan.steps.map(step => ({
+      id: step.id,
+      intent: step.intent,
+      targetPage: step.targetPage,
+      expectedOutcome: step.expectedOutcome,
+      successCheck: step.successCheck,
+      status: 'pending',
+      note: null,
+      updatedAt: null
+    }))
+  };
+}
+
+module.exports = {
+  PLAN_SCHEMA,
+  STEP_STATUSES,
+  extractJson,
+  parsePlan,
+  validatePlan,
+  initializePlanProgress
+};
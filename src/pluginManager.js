@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lifecycle hooks, the payload keys each may change, and whether it may veto
+const HOOKS = {
+  taskStart: { modifies: ['prompt'], veto: true },
+  taskEnd: { modifies: ['result'], veto: false },
+  phaseStart: { modifies: [], veto: true },
+  phaseEnd: { modifies: ['output'], veto: false },
+  beforeModelCall: { modifies: ['message'], veto: true },
+  afterModelCall: { modifies: ['text', 'functionCalls'], veto: false },
+  beforeToolCall: { modifies: ['args'], veto: true },
+  afterToolCall: { modifies: ['result', 'error'], veto: false }
+};
+
+/**
+ * Runs the lifecycle hooks of plugins
+ *
+ * A plugin is an object with a `name` and any of the hooks in HOOKS:
+ *
+ *   module.exports = (options) => ({
+ *     name: 'redact-emails',
+ *     afterToolCall: ({ result }) => ({ result: redact(result) })
+ *   });
+ *
+ * Every hook gets a copy of its payload and may return nothing (to observe),
+ * an object with new values for the keys the hook may change (to modify), or
+ * `{ veto: "reason" }` (to veto, for hooks that allow it). Plugins run in the
+ * order they are listed and each sees the changes of the ones before it; the
+ * first veto wins. A hook that throws is logged and skipped, so a broken
+ * plugin cannot stop a task.
+ *
+ * Plugins are read from the JSON file named by PLUGINS_CONFIG_PATH (default
+ * plugins.config.json): `{ "plugins": ["./my-plugin.js", { "path": "...", "options": {...} }] }`.
+ * Paths are relative to the file. A module exports a plugin, or a function
+ * that is called with the entry's options and returns one.
+ */
+class PluginManager {
+  /**
+   * @param {object} options - Plugin options
+   * @param {Array} options.plugins - The plugins (defaults to the plugins in the config file)
+   * @param {string} options.configPath - Path to a JSON plugin config (defaults to PLUGINS_CONFIG_PATH or plugins.config.json)
+   */
+  constructor(options = {}) {
+    const plugins = options.plugins || this._loadConfig(options.configPath || process.env.PLUGINS_CONFIG_PATH);
+    this.plugins = [];
+    plugins.forEach(plugin => this.register(plugin));
+  }
+  
+  /**
+   * Add a plugin after the ones already registered
+   * @param {object} plugin - The plugin
+   * @throws {Error} - If the plugin has no name or a hook is not a function
+   */
+  register(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error('Plugin must have a name');
+    }
+    for (const hook of Object.keys(HOOKS)) {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+        throw new Error(`Plugin ${plugin.name} hook ${hook} must be a function`);
+      }
+    }
+    
+    this.plugins.push(plugin);
+    console.log(`Registered plugin ${plugin.name}`);
+  }
+  
+  /**
+   * Run a hook of every plugin
+   * @param {string} hook - One of HOOKS
+   * @param {object} payload - What the hook is about, e.g. { taskId, phase, tool, args }
+   * @returns {Promise<object>} - The payload with the plugins' changes, and `veto` ({ plugin, reason }) or null
+   */
+  async run(hook, payload = {}) {
+    const { modifies, veto: mayVeto } = HOOKS[hook];
+    const current = { ...payload };
+    
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      
+      let change;
+      try {
+        change = await plugin[hook]({ ...current });
+      } catch (error) {
+        console.error(`Plugin ${plugin.name} failed in ${hook}:`, error);
+        continue;
+      }
+      if (!change || typeof change !== 'object') continue;
+      
+      if (change.veto) {
+        if (mayVeto) {
+          const reason = typeof change.veto === 'string' ? change.veto : `Vetoed by plugin ${plugin.name}`;
+          console.log(`Plugin ${plugin.name} vetoed ${hook}: ${reason}`);
+          return { ...current, veto: { plugin: plugin.name, reason } };
+        }
+        console.warn(`Plugin ${plugin.name} cannot veto ${hook}; ignoring the veto`);
+      }
+      
+      for (const [key, value] of Object.entries(change)) {
+        if (key === 'veto') continue;
+        if (!modifies.includes(key)) {
+          console.warn(`Plugin ${plugin.name} cannot change ${key} in ${hook}; ignoring the change`);
+          continue;
+        }
+        current[key] = value;
+      }
+    }
+    
+    return { ...current, veto: null };
+  }
+  
+  /**
+   * Load the plugins listed in a config file
+   * @param {string} configPath - The file path (optional; plugins.config.json is read if it exists)
+   * @returns {Array} - The plugins
+   * @private
+   */
+  _loadConfig(configPath) {
+    const filePath = configPath || path.join(process.cwd(), 'plugins.config.json');
+    if (!fs.existsSync(filePath)) {
+      if (configPath) {
+        throw new Error(`Plugin config file not found: ${configPath}`);
+      }
+      return [];
+    }
+    
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!Array.isArray(config.plugins)) {
+        throw new Error('"plugins" must be an array');
+      }
+    } catch (error) {
+      throw new Error(`Failed to read plugin config ${filePath}: ${error.message}`);
+    }
+    
+    console.log(`Loading plugins from ${filePath}`);
+    return config.plugins.map(entry => this._loadPlugin(entry, path.dirname(filePath)));
+  }
+  
+  /**
+   * Load the plugin of a config entry
+   * @param {string|object} entry - A module path, or { path, options }
+   * @param {string} baseDir - Directory relative paths start from
+   * @returns {object} - The plugin
+   * @private
+   */
+  _loadPlugin(entry, baseDir) {
+    const { path: modulePath, options = {} } = typeof entry === 'string' ? { path: entry } : (entry || {});
+    if (typeof modulePath !== 'string' || !modulePath) {
+      throw new Error('Plugin entry needs a module path');
+    }
+    
+    // Relative paths are files next to the config; anything else is a package name
+    const resolved = modulePath.startsWith('.') ? path.resolve(baseDir, modulePath) : modulePath;
+    const exported = require(resolved);
+    return typeof exported === 'function' ? exported(options) : exported;
+  }
+}
+
+module.exports = { HOOKS, PluginManager };
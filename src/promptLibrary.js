@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads versioned prompt templates from a directory
+ *
+ * Each template is a `<role>.md` file with a front matter header:
+ *
+ *   ---
+ *   version: 1.0.0
+ *   description: What the role does
+ *   ---
+ *   Template body with {{variables}} and {{#optional}}sections{{/optional}}
+ *
+ * `{{name}}` is replaced with the variable value. A `{{#name}}...{{/name}}`
+ * section is only rendered when the variable is non-empty. Roles without a
+ * template fall back to `default.md`.
+ */
+class PromptLibrary {
+  /**
+   * @param {object} options - Library options
+   * @param {string} options.directory - Template directory (defaults to PROMPTS_DIR or ./prompts)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+    this.templates = new Map();
+    this.load();
+  }
+  
+  /**
+   * (Re)load every template in the directory
+   */
+  load() {
+    this.templates.clear();
+    
+    if (!fs.existsSync(this.directory)) {
+      throw new Error(`Prompt template directory not found: ${this.directory}`);
+    }
+    
+    for (const file of fs.readdirSync(this.directory)) {
+      if (path.extname(file) !== '.md') continue;
+      
+      const name = path.basename(file, '.md');
+      const source = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      this.templates.set(name, this._parseTemplate(name, source));
+    }
+    
+    console.log(`Loaded ${this.templates.size} prompt templates from ${this.directory}`);
+  }
+  
+  /**
+   * Check if a role has its own template
+   * @param {string} role - The agent role
+   * @returns {boolean} - True if a template named after the role exists
+   */
+  hasTemplate(role) {
+    return this.templates.has(role);
+  }
+  
+  /**
+   * Get the template used for a role
+   * @param {string} role - The agent role
+   * @returns {object} - The template ({ name, version, description, body })
+   */
+  getTemplate(role) {
+    const template = this.templates.get(role) || this.templates.get('default');
+    if (!template) {
+      throw new Error(`No prompt template found for role ${role} and no default template`);
+    }
+    return template;
+  }
+  
+  /**
+   * Render the template for a role
+   * @param {string} role - The agent role
+   * @param {object} variables - Template variables (task, previousSteps, site, persona, tools, ...)
+   * @returns {{prompt: string, template: {name: string, version: string}}} - The rendered prompt and template used
+   */
+  render(role, variables = {}) {
+    const template = this.getTemplate(role);
+    
+    // Optional sections first, then plain variables
+    let prompt = template.body.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, section) => {
+      return this._isEmpty(variables[name]) ? '' : section;
+    });
+    prompt = prompt.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      return this._isEmpty(variables[name]) ? '' : String(variables[name]);
+    });
+    
+    // Collapse the blank lines left behind by empty sections
+    prompt = prompt.replace(/\n{3,}/g, '\n\n');
+    
+    return {
+      prompt: prompt.trim(),
+      template: { name: template.name, version: template.version }
+    };
+  }
+  
+  /**
+   * Parse a template file into its front matter and body
+   * @param {string} name - The template name
+   * @param {string} source - The file contents
+   * @returns {object} - The parsed template
+   * @private
+   */
+  _parseTemplate(name, source) {
+    const template = { name, version: '0', description: '', body: source };
+    
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (match) {
+      for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (key === 'version' || key === 'description') {
+          template[key] = value;
+        }
+      }
+      template.body = match[2];
+    }
+    
+    return template;
+  }
+  
+  /**
+   * Check if a variable value should be treated as empty
+   * @param {any} value - The variable value
+   * @returns {boolean} - True if the value is empty
+   * @private
+   */
+  _isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+}
+
+module.exports = { PromptLibrary };
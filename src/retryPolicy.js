@@ -0,0 +1,112 @@
+const { abortableDelay } = require('./abort');
+
+// HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'EMPTY_RESPONSE'];
+
+/**
+ * Retries LLM calls with exponential backoff and jitter
+ */
+class RetryPolicy {
+  /**
+   * @param {object} options - Retry options
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - Delay before the first retry
+   * @param {number} options.maxDelayMs - Upper bound for any delay
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : parseInt(process.env.LLM_MAX_RETRIES || '3', 10);
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 1000;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 30000;
+  }
+  
+  /**
+   * Get the HTTP status of an error, if it has one
+   * The Gemini SDK sets `status` on fetch errors and puts it in the message as "[429 Too Many Requests]"
+   * @param {Error} error - The error
+   * @returns {number|null} - The status code
+   */
+  getStatus(error) {
+    if (!error) return null;
+    if (typeof error.status === 'number') return error.status;
+    
+    const match = /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+  
+  /**
+   * Check if an error is transient and the call should be retried
+   * @param {Error} error - The error
+   * @returns {boolean} - True if the call should be retried
+   */
+  isRetryable(error) {
+    if (!error || error.name === 'AbortError') return false;
+    
+    const status = this.getStatus(error);
+    if (status !== null) {
+      return RETRYABLE_STATUSES.includes(status);
+    }
+    
+    if (error.code && RETRYABLE_CODES.includes(error.code)) {
+      return true;
+    }
+    
+    return /fetch failed|network|socket hang up|timed? ?out/i.test(error.message || '');
+  }
+  
+  /**
+   * Check if a failed call should be tried again on a fallback model
+   * True for transient errors that outlasted the retries and for unknown or unavailable models
+   * @param {Error} error - The error
+   * @returns {boolean} - True if a fallback model may help
+   */
+  shouldFallback(error) {
+    return this.isRetryable(error) || this.getStatus(error) === 404;
+  }
+  
+  /**
+   * Get the delay before a retry: exponential backoff with jitter (between half and all of the backoff)
+   * @param {number} attempt - The retry number (1 for the first retry)
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+  
+  /**
+   * Run a call, retrying transient failures
+   * @param {Function} fn - The call to make, receives the attempt number
+   * @param {object} options - Run options
+   * @param {Function} options.onRetry - Called with { attempt, maxRetries, delayMs, error } before each retry
+   * @param {AbortSignal} options.signal - Stops retrying, and any wait before a retry, once aborted
+   * @returns {Promise<any>} - The result of the call
+   */
+  async run(fn, { onRetry = null, signal = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        // An aborted call is never retried, whatever error the aborted request produced
+        if ((signal && signal.aborted) || attempt >= this.maxRetries || !this.isRetryable(error)) {
+          throw error;
+        }
+        
+        const delayMs = this.getDelay(attempt + 1);
+        console.warn(`LLM call failed (${error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delayMs}ms`);
+        
+        if (onRetry) {
+          onRetry({ attempt: attempt + 1, maxRetries: this.maxRetries, delayMs, error });
+        }
+        
+        await abortableDelay(delayMs, signal);
+      }
+    }
+  }
+}
+
+module.exports = { RetryPolicy };
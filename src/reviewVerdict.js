@@ -0,0 +1,84 @@
+const { extractJson } = require('./planSchema');
+
+// Verdicts the reviewer agent can return
+const VERDICTS = ['pass', 'retry'];
+
+// JSON Schema of the verdict the reviewer agent must return
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: {
+      type: 'string',
+      enum: VERDICTS,
+      description: '"pass" if the task is done, "retry" if another round is needed'
+    },
+    summary: {
+      type: 'string',
+      description: 'Final assessment of the result'
+    },
+    feedback: {
+      type: 'string',
+      description: 'What the next round must do differently (required for "retry")'
+    },
+    retryFrom: {
+      type: 'string',
+      description: 'Phase the next round starts from'
+    }
+  },
+  required: ['verdict', 'summary']
+};
+
+/**
+ * Parse a verdict from the reviewer's output
+ * @param {string} text - The reviewer output
+ * @param {string[]} retryPhases - Phases the verdict may send the task back to
+ * @returns {{verdict: object|null, errors: string[]}} - The parsed verdict, or the reasons it is invalid
+ */
+function parseVerdict(text, retryPhases = []) {
+  const { value: verdict, errors: jsonErrors } = extractJson(text);
+  if (jsonErrors.length > 0) {
+    return { verdict: null, errors: jsonErrors };
+  }
+  
+  const errors = validateVerdict(verdict, retryPhases);
+  return { verdict: errors.length === 0 ? verdict : null, errors };
+}
+
+/**
+ * Validate a verdict against VERDICT_SCHEMA
+ * @param {object} verdict - The verdict to validate
+ * @param {string[]} retryPhases - Phases the verdict may send the task back to
+ * @returns {string[]} - Validation errors (empty if the verdict is valid)
+ */
+function validateVerdict(verdict, retryPhases = []) {
+  if (!verdict || typeof verdict !== 'object' || Array.isArray(verdict)) {
+    return ['The verdict must be a JSON object'];
+  }
+  
+  const errors = [];
+  
+  if (!VERDICTS.includes(verdict.verdict)) {
+    errors.push(`"verdict" must be one of ${VERDICTS.join(', ')}`);
+  }
+  
+  if (typeof verdict.summary !== 'string') {
+    errors.push('"summary" must be a string');
+  }
+  
+  if (verdict.verdict === 'retry' && (typeof verdict.feedback !== 'string' || verdict.feedback.trim() === '')) {
+    errors.push('"feedback" must be a non-empty string when the verdict is "retry"');
+  }
+  
+  if (verdict.retryFrom !== undefined && verdict.retryFrom !== null && !retryPhases.includes(verdict.retryFrom)) {
+    errors.push(`"retryFrom" must be one of ${retryPhases.join(', ')}`);
+  }
+  
+  return errors;
+}
+
+module.exports = {
+  VERDICTS,
+  VERDICT_SCHEMA,
+  parseVerdict,
+  validateVerdict
+};
@@ -0,0 +1,443 @@
+// Types the provider accepts in function declarations
+const SUPPORTED_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+// Formats the provider accepts, by type
+const SUPPORTED_FORMATS = {
+  string: ['enum', 'date-time'],
+  number: ['float', 'double'],
+  integer: ['int32', 'int64']
+};
+
+// Keywords copied as-is when they have the right shape
+const NUMERIC_KEYWORDS = ['minItems', 'maxItems', 'minimum', 'maximum'];
+
+// Keywords handled explicitly while sanitizing; everything else is dropped
+const HANDLED_KEYWORDS = [
+  'type', 'format', 'description', 'nullable', 'enum', 'const', 'items', 'properties', 'required',
+  'anyOf', 'oneOf', 'allOf', '$ref', '$defs', 'definitions', ...NUMERIC_KEYWORDS
+];
+
+/**
+ * Convert an arbitrary JSON Schema into the subset the provider accepts for
+ * function parameters (an OpenAPI-style schema with type, format, description,
+ * nullable, string enums, items, properties and required).
+ *
+ * The input is never modified. Everything that cannot be expressed is dropped
+ * or rewritten and reported:
+ * - `$ref` to local `$defs`/`definitions` is inlined (recursive references become plain objects)
+ * - `anyOf`/`oneOf` with a null branch become `nullable`; string enums are merged;
+ *   objects are merged; otherwise the first branch is kept
+ * - `allOf` branches are merged
+ * - `type: [x, 'null']` becomes `type: x` with `nullable`
+ * - `const` and non-string `enum` values become a string enum or a description hint
+ * - arrays without `items` get string items; missing types are inferred
+ *
+ * @param {object} schema - The JSON Schema to sanitize
+ * @param {object} options - Sanitizer options
+ * @param {string} options.path - Path used in the report (defaults to the root, '$')
+ * @param {number} options.maxDepth - Nesting depth after which schemas are flattened to strings
+ * @returns {{schema: object, dropped: Array<{path: string, keyword: string, reason: string}>}} - The sanitized schema and what was dropped or rewritten
+ */
+function sanitizeSchema(schema, options = {}) {
+  const context = {
+    root: schema || {},
+    dropped: [],
+    resolving: [],
+    rootPath: options.path || '$',
+    maxDepth: options.maxDepth || 12
+  };
+  
+  const sanitized = _sanitize(schema || {}, context.rootPath, 0, context);
+  return { schema: sanitized, dropped: context.dropped };
+}
+
+/**
+ * Sanitize the parameters schema of a tool
+ * Tools without parameters get no schema, since the provider rejects objects without properties
+ * @param {object} tool - The tool definition ({ name, description, parameters })
+ * @returns {{parameters: object|undefined, dropped: Array}} - The sanitized parameters and what was dropped
+ */
+function sanitizeToolParameters(tool) {
+  if (!tool.parameters) {
+    return { parameters: undefined, dropped: [] };
+  }
+  
+  const { schema, dropped } = sanitizeSchema(tool.parameters, { path: tool.name });
+  
+  if (schema.type !== 'object') {
+    dropped.push({ path: tool.name, keyword: 'type', reason: `parameters must be an object, got ${schema.type}` });
+    return { parameters: undefined, dropped };
+  }
+  
+  if (!schema.properties || Object.keys(schema.properties).length === 0) {
+    return { parameters: undefined, dropped };
+  }
+  
+  return { parameters: schema, dropped };
+}
+
+/**
+ * Format a dropped-keyword report as one line per entry
+ * @param {Array} dropped - Entries returned by sanitizeSchema
+ * @returns {string} - The formatted report
+ */
+function formatDropped(dropped) {
+  return dropped.map(entry => `${entry.path}.${entry.keyword}: ${entry.reason}`).join('\n');
+}
+
+/**
+ * Sanitize one schema node
+ * @param {object} node - The schema node
+ * @param {string} path - Path of the node, for the report
+ * @param {number} depth - Nesting depth
+ * @param {object} context - Shared sanitizer state
+ * @returns {object} - The sanitized node
+ * @private
+ */
+function _sanitize(node, path, depth, context) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    // `true`, `{}` or garbage: anything goes, which the provider can only express as a string
+    _drop(context, path, 'type', 'schema is not an object, using a string');
+    return { type: 'string' };
+  }
+  
+  if (depth > context.maxDepth) {
+    _drop(context, path, 'type', `nested deeper than ${context.maxDepth} levels, using a string`);
+    return _withDescription({ type: 'string' }, node);
+  }
+  
+  // Inline references first, then work on the referenced schema
+  if (node.$ref !== undefined) {
+    return _sanitizeRef(node, path, depth, context);
+  }
+  
+  // Combinators are collapsed into a single schema before the rest is handled
+  if (Array.isArray(node.allOf)) {
+    return _sanitize(_mergeAllOf(node, path, context), path, depth + 1, context);
+  }
+  
+  const alternatives = node.anyOf || node.oneOf;
+  if (Array.isArray(alternatives)) {
+    return _sanitize(_collapseAlternatives(node, alternatives, path, context), path, depth + 1, context);
+  }
+  
+  for (const keyword of Object.keys(node)) {
+    if (!HANDLED_KEYWORDS.includes(keyword)) {
+      _drop(context, path, keyword, 'not supported');
+    }
+  }
+  
+  const result = {};
+  let nullable = node.nullable === true;
+  
+  // Type: resolve ['x', 'null'] and infer missing types
+  let type = node.type;
+  if (Array.isArray(type)) {
+    const types = type.filter(t => t !== 'null');
+    if (types.length < type.length) nullable = true;
+    if (types.length > 1) {
+      _drop(context, path, 'type', `multiple types [${types.join(', ')}], kept ${types[0]}`);
+    }
+    type = types[0];
+  }
+  
+  if (type === undefined || type === 'null') {
+    if (type === 'null') nullable = true;
+    type = _inferType(node);
+    _drop(context, path, 'type', `missing, inferred ${type}`);
+  } else if (!SUPPORTED_TYPES.includes(type)) {
+    _drop(context, path, 'type', `unsupported type ${type}, using a string`);
+    type = 'string';
+  }
+  
+  result.type = type;
+  
+  let description = typeof node.description === 'string' ? node.description : undefined;
+  
+  // Enums: the provider only accepts strings, so other values become a description hint
+  let values = Array.isArray(node.enum) ? node.enum : undefined;
+  if (node.const !== undefined) {
+    values = [node.const];
+    _drop(context, path, 'const', 'converted to a single-value enum');
+  }
+  
+  if (values) {
+    if (values.includes(null)) {
+      nullable = true;
+      values = values.filter(value => value !== null);
+    }
+    
+    if (type === 'string' && values.every(value => typeof value === 'string')) {
+      result.enum = values;
+    } else if (values.length > 0) {
+      _drop(context, path, 'enum', `non-string values moved to the description`);
+      const hint = `Allowed values: ${values.map(value => JSON.stringify(value)).join(', ')}`;
+      description = description ? `${description} (${hint})` : hint;
+    }
+  }
+  
+  if (description) {
+    result.description = description;
+  }
+  
+  if (node.format !== undefined) {
+    if ((SUPPORTED_FORMATS[type] || []).includes(node.format) && !(node.format === 'enum' && !result.enum)) {
+      result.format = node.format;
+    } else {
+      _drop(context, path, 'format', `format ${node.format} is not supported for ${type}`);
+    }
+  }
+  
+  if (nullable) {
+    result.nullable = true;
+  }
+  
+  for (const keyword of NUMERIC_KEYWORDS) {
+    if (node[keyword] === undefined) continue;
+    
+    const applies = keyword.endsWith('Items') ? type === 'array' : (type === 'number' || type === 'integer');
+    if (applies && typeof node[keyword] === 'number') {
+      result[keyword] = node[keyword];
+    } else {
+      _drop(context, path, keyword, `not applicable to ${type}`);
+    }
+  }
+  
+  if (type === 'array') {
+    if (node.items === undefined) {
+      _drop(context, path, 'items', 'missing, using string items');
+      result.items = { type: 'string' };
+    } else if (Array.isArray(node.items)) {
+      // Tuple validation: keep the first item schema
+      _drop(context, path, 'items', 'tuple items, kept the first item schema');
+      result.items = _sanitize(node.items[0], `${path}[]`, depth + 1, context);
+    } else {
+      result.items = _sanitize(node.items, `${path}[]`, depth + 1, context);
+    }
+  } else if (node.items !== undefined) {
+    _drop(context, path, 'items', `not applicable to ${type}`);
+  }
+  
+  if (type === 'object') {
+    const properties = {};
+    for (const [name, property] of Object.entries(node.properties || {})) {
+      properties[name] = _sanitize(property, `${path}.${name}`, depth + 1, context);
+    }
+    
+    if (Object.keys(properties).length > 0 || path === context.rootPath) {
+      result.properties = properties;
+    }
+    
+    if (Array.isArray(node.required)) {
+      const required = node.required.filter(name => properties[name] !== undefined);
+      if (required.length < node.required.length) {
+        _drop(context, path, 'required', 'names without a matching property removed');
+      }
+      if (required.length > 0) {
+        result.required = required;
+      }
+    }
+  } else {
+    if (node.properties !== undefined) _drop(context, path, 'properties', `not applicable to ${type}`);
+    if (node.required !== undefined) _drop(context, path, 'required', `not applicable to ${type}`);
+  }
+  
+  return result;
+}
+
+/**
+ * Inline a $ref to the root schema's $defs or definitions
+ * @param {object} node - The schema node with a $ref
+ * @param {string} path - Path of the node
+ * @param {number} depth - Nesting depth
+ * @param {object} context - Shared sanitizer state
+ * @returns {object} - The sanitized referenced schema
+ * @private
+ */
+function _sanitizeRef(node, path, depth, context) {
+  const ref = node.$ref;
+  const { $ref, ...siblings } = node;
+  
+  if (context.resolving.includes(ref)) {
+    _drop(context, path, '$ref', `recursive reference ${ref}, using a plain object`);
+    return _withDescription({ type: 'object' }, node);
+  }
+  
+  const target = _resolvePointer(context.root, ref);
+  if (!target) {
+    _drop(context, path, '$ref', `cannot resolve ${ref}, using a string`);
+    return _withDescription({ type: 'string' }, node);
+  }
+  
+  // Keywords next to the $ref (usually a description) override the referenced schema
+  context.resolving.push(ref);
+  const sanitized = _sanitize({ ...target, ...siblings }, path, depth, context);
+  context.resolving.pop();
+  return sanitized;
+}
+
+/**
+ * Resolve a local JSON pointer such as '#/$defs/Item'
+ * @param {object} root - The root schema
+ * @param {string} ref - The reference
+ * @returns {object|null} - The referenced schema, or null if it cannot be resolved
+ * @private
+ */
+function _resolvePointer(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+  
+  const segments = ref.slice(1).split('/').filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+  
+  let current = root;
+  for (const segment of segments) {
+    if (!current || typeof current !== 'object' || !(segment in current)) return null;
+    current = current[segment];
+  }
+  
+  return current && typeof current === 'object' ? current : null;
+}
+
+/**
+ * Merge allOf branches into one schema
+ * @param {object} node - The schema node with allOf
+ * @param {string} path - Path of the node
+ * @param {object} context - Shared sanitizer state
+ * @returns {object} - The merged schema (not yet sanitized)
+ * @private
+ */
+function _mergeAllOf(node, path, context) {
+  const { allOf, ...rest } = node;
+  const merged = { ...rest };
+  
+  for (const branch of allOf) {
+    const resolved = _resolveBranch(branch, context);
+    for (const [keyword, value] of Object.entries(resolved)) {
+      if (keyword === 'properties') {
+        merged.properties = { ...(merged.properties || {}), ...value };
+      } else if (keyword === 'required') {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else if (merged[keyword] === undefined) {
+        merged[keyword] = value;
+      }
+    }
+  }
+  
+  _drop(context, path, 'allOf', `merged ${allOf.length} schemas`);
+  return merged;
+}
+
+/**
+ * Collapse anyOf/oneOf alternatives into one schema
+ * @param {object} node - The schema node
+ * @param {Array} alternatives - The anyOf or oneOf branches
+ * @param {string} path - Path of the node
+ * @param {object} context - Shared sanitizer state
+ * @returns {object} - The collapsed schema (not yet sanitized)
+ * @private
+ */
+function _collapseAlternatives(node, alternatives, path, context) {
+  const keyword = node.anyOf ? 'anyOf' : 'oneOf';
+  const { anyOf, oneOf, ...rest } = node;
+  
+  const branches = alternatives.map(branch => _resolveBranch(branch, context));
+  const nonNull = branches.filter(branch => branch.type !== 'null' && !(branch.enum && branch.enum.length === 1 && branch.enum[0] === null));
+  const nullable = nonNull.length < branches.length;
+  
+  let collapsed;
+  if (nonNull.length === 0) {
+    collapsed = { type: 'string' };
+    _drop(context, path, keyword, 'only null alternatives, using a string');
+  } else if (nonNull.length === 1) {
+    collapsed = { ...nonNull[0] };
+    if (nullable) _drop(context, path, keyword, 'null alternative converted to nullable');
+  } else if (nonNull.every(branch => branch.type === 'string' && (branch.const !== undefined || Array.isArray(branch.enum)))) {
+    // A union of string literals is a single string enum
+    const values = nonNull.flatMap(branch => branch.const !== undefined ? [branch.const] : branch.enum);
+    collapsed = { type: 'string', enum: [...new Set(values)] };
+    _drop(context, path, keyword, 'string alternatives merged into one enum');
+  } else if (nonNull.every(branch => branch.type === 'object' || (!branch.type && branch.properties))) {
+    // Objects are merged; only properties required by every branch stay required
+    const properties = {};
+    nonNull.forEach(branch => Object.assign(properties, branch.properties || {}));
+    const required = (nonNull[0].required || [])
+      .filter(name => nonNull.every(branch => (branch.required || []).includes(name)));
+    collapsed = { type: 'object', properties, required };
+    _drop(context, path, keyword, `${nonNull.length} object alternatives merged, properties of other alternatives made optional`);
+  } else {
+    collapsed = { ...nonNull[0] };
+    const others = nonNull.slice(1).map(branch => branch.type || 'schema').join(', ');
+    _drop(context, path, keyword, `kept the first alternative, dropped: ${others}`);
+  }
+  
+  // Keywords next to the combinator (usually a description) win
+  const result = { ...collapsed, ...rest };
+  if (nullable) result.nullable = true;
+  return result;
+}
+
+/**
+ * Resolve a $ref branch of a combinator so its type can be inspected
+ * @param {object} branch - The branch schema
+ * @param {object} context - Shared sanitizer state
+ * @returns {object} - The branch, or the schema it references
+ * @private
+ */
+function _resolveBranch(branch, context) {
+  if (!branch || typeof branch !== 'object') return {};
+  if (branch.$ref === undefined || context.resolving.includes(branch.$ref)) return branch;
+  
+  const { $ref, ...siblings } = branch;
+  const target = _resolvePointer(context.root, $ref);
+  return target ? { ...target, ...siblings } : branch;
+}
+
+/**
+ * Infer the type of a schema without one
+ * @param {object} node - The schema node
+ * @returns {string} - The inferred type
+ * @private
+ */
+function _inferType(node) {
+  if (node.properties) return 'object';
+  if (node.items) return 'array';
+  
+  const values = Array.isArray(node.enum) ? node.enum : (node.const !== undefined ? [node.const] : []);
+  const value = values.find(v => v !== null);
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  
+  return 'string';
+}
+
+/**
+ * Copy the description of a schema node onto a replacement schema
+ * @param {object} replacement - The replacement schema
+ * @param {object} node - The original schema node
+ * @returns {object} - The replacement schema
+ * @private
+ */
+function _withDescription(replacement, node) {
+  if (typeof node.description === 'string') {
+    replacement.description = node.description;
+  }
+  return replacement;
+}
+
+/**
+ * Record a dropped or rewritten keyword
+ * @param {object} context - Shared sanitizer state
+ * @param {string} path - Path of the node
+ * @param {string} keyword - The keyword
+ * @param {string} reason - Why it was dropped or what it became
+ * @private
+ */
+function _drop(context, path, keyword, reason) {
+  context.dropped.push({ path, keyword, reason });
+}
+
+module.exports = {
+  sanitizeSchema,
+  sanitizeToolParameters,
+  formatDropped
+};
@@ -0,0 +1,131 @@
+// Task priorities, highest first
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Orders the tasks waiting to run and limits how many run at once
+ *
+ * Waiting tasks are ordered by priority, then by the time they were added.
+ * add() throws once the queue holds `maxLength` waiting tasks; the error has
+ * `code = 'QUEUE_FULL'` and `retryAfter` set to the seconds a client should
+ * wait before trying again.
+ */
+class TaskQueue {
+  /**
+   * @param {object} options - Queue options
+   * @param {number} options.concurrency - Tasks that may run at once (defaults to TASK_CONCURRENCY or 1)
+   * @param {number} options.maxLength - Tasks that may wait (defaults to TASK_QUEUE_MAX_LENGTH or 20)
+   * @param {number} options.retryAfter - Seconds a client is told to wait when the queue is full (defaults to TASK_QUEUE_RETRY_AFTER or 30)
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.TASK_CONCURRENCY, 10) || 1;
+    this.maxLength = options.maxLength || parseInt(process.env.TASK_QUEUE_MAX_LENGTH, 10) || 20;
+    this.retryAfter = options.retryAfter || parseInt(process.env.TASK_QUEUE_RETRY_AFTER, 10) || 30;
+    
+    this.waiting = [];
+    this.running = new Set();
+  }
+  
+  /**
+   * Throw the QUEUE_FULL error if no more tasks may wait
+   * @throws {Error} - If the queue is full
+   */
+  checkCapacity() {
+    if (this.isFull()) {
+      const error = new Error(`Task queue is full (${this.maxLength} tasks waiting)`);
+      error.code = 'QUEUE_FULL';
+      error.retryAfter = this.retryAfter;
+      throw error;
+    }
+  }
+  
+  /**
+   * Add a task to the queue
+   * @param {string} taskId - The task id
+   * @param {string} priority - One of PRIORITIES (defaults to "normal")
+   * @returns {number} - The task's position in the queue (1 is next)
+   * @throws {Error} - If the queue is full
+   */
+  add(taskId, priority = 'normal') {
+    this.checkCapacity();
+    
+    const entry = { taskId, rank: PRIORITIES.indexOf(priority) };
+    
+    // Insert after every task of the same or a higher priority
+    const index = this.waiting.findIndex(other => other.rank > entry.rank);
+    if (index === -1) {
+      this.waiting.push(entry);
+    } else {
+      this.waiting.splice(index, 0, entry);
+    }
+    
+    return this.position(taskId);
+  }
+  
+  /**
+   * Remove a waiting task, e.g. when it is cancelled
+   * @param {string} taskId - The task id
+   * @returns {boolean} - True if the task was waiting
+   */
+  remove(taskId) {
+    const index = this.waiting.findIndex(entry => entry.taskId === taskId);
+    if (index === -1) return false;
+    
+    this.waiting.splice(index, 1);
+    return true;
+  }
+  
+  /**
+   * Take the next task if a slot is free; the task counts as running until release()
+   * @returns {string|null} - The task id, or null if no task can start
+   */
+  take() {
+    if (this.running.size >= this.concurrency || this.waiting.length === 0) {
+      return null;
+    }
+    
+    const { taskId } = this.waiting.shift();
+    this.running.add(taskId);
+    return taskId;
+  }
+  
+  /**
+   * Free the slot of a task that stopped running
+   * @param {string} taskId - The task id
+   */
+  release(taskId) {
+    this.running.delete(taskId);
+  }
+  
+  /**
+   * Get the position of a waiting task
+   * @param {string} taskId - The task id
+   * @returns {number|null} - The position (1 is next), or null if the task is not waiting
+   */
+  position(taskId) {
+    const index = this.waiting.findIndex(entry => entry.taskId === taskId);
+    return index === -1 ? null : index + 1;
+  }
+  
+  /**
+   * Check if the queue is full
+   * @returns {boolean} - True if no more tasks may wait
+   */
+  isFull() {
+    return this.waiting.length >= this.maxLength;
+  }
+  
+  /**
+   * Get the state of the queue
+   * @returns {object} - Waiting task ids in order, running task ids and the limits
+   */
+  getSummary() {
+    return {
+      waiting: this.waiting.map(entry => entry.taskId),
+      running: [...this.running],
+      concurrency: this.concurrency,
+      maxLength: this.maxLength
+    };
+  }
+}
+
+module.exports = { PRIORITIES, TaskQueue };
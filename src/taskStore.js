@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Base class for task stores
+ *
+ * A store keeps the serialized state of every task (its status, history,
+ * phase outputs and result) and the artifacts the task produced, such as
+ * phase outputs and screenshots, so tasks survive a server restart. Records
+ * are plain JSON objects; the agent system turns them back into tasks.
+ */
+class TaskStore {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+  }
+  
+  /**
+   * Save the state of a task, replacing any earlier state
+   * @param {object} record - The serialized task (must have an id)
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    throw new Error(`${this.name} task store does not implement save`);
+  }
+  
+  /**
+   * Load the state of a task
+   * @param {string} taskId - The task id
+   * @returns {Promise<object|null>} - The serialized task, or null if it is not stored
+   */
+  async load(taskId) {
+    throw new Error(`${this.name} task store does not implement load`);
+  }
+  
+  /**
+   * Load the state of every stored task
+   * @returns {Promise<Array<object>>} - The serialized tasks
+   */
+  async list() {
+    throw new Error(`${this.name} task store does not implement list`);
+  }
+  
+  /**
+   * Save an artifact produced by a task
+   * @param {string} taskId - The task id
+   * @param {string} name - The artifact file name, e.g. "round-1-planning.md"
+   * @param {string|Buffer} data - The artifact content
+   * @returns {Promise<string>} - The artifact name
+   */
+  async saveArtifact(taskId, name, data) {
+    throw new Error(`${this.name} task store does not implement saveArtifact`);
+  }
+  
+  /**
+   * Load an artifact produced by a task
+   * @param {string} taskId - The task id
+   * @param {string} name - The artifact name
+   * @returns {Promise<Buffer|null>} - The artifact content, or null if it does not exist
+   */
+  async loadArtifact(taskId, name) {
+    throw new Error(`${this.name} task store does not implement loadArtifact`);
+  }
+  
+  /**
+   * Append records to the trace of a task
+   * @param {string} taskId - The task id
+   * @param {Array<object>} records - The trace records, oldest first
+   * @returns {Promise<void>}
+   */
+  async appendTrace(taskId, records) {
+    throw new Error(`${this.name} task store does not implement appendTrace`);
+  }
+  
+  /**
+   * Load the trace of a task
+   * @param {string} taskId - The task id
+   * @returns {Promise<Array<object>>} - The trace records in the order they were appended
+   */
+  async loadTrace(taskId) {
+    throw new Error(`${this.name} task store does not implement loadTrace`);
+  }
+}
+
+/**
+ * Task store that keeps everything in memory; nothing survives a restart
+ */
+class MemoryTaskStore extends TaskStore {
+  constructor(options = {}) {
+    super({ ...options, name: 'memory' });
+    this.records = new Map();
+    this.artifacts = new Map();
+    this.traces = new Map();
+  }
+  
+  async save(record) {
+    // Store a copy so later changes to the task do not leak into the record
+    this.records.set(record.id, JSON.parse(JSON.stringify(record)));
+  }
+  
+  async load(taskId) {
+    return this.records.get(taskId) || null;
+  }
+  
+  async list() {
+    return Array.from(this.records.values());
+  }
+  
+  async saveArtifact(taskId, name, data) {
+    this.artifacts.set(`${taskId}/${name}`, Buffer.from(data));
+    return name;
+  }
+  
+  async loadArtifact(taskId, name) {
+    return this.artifacts.get(`${taskId}/${name}`) || null;
+  }
+  
+  async appendTrace(taskId, records) {
+    if (!this.traces.has(taskId)) {
+      this.traces.set(taskId, []);
+    }
+    this.traces.get(taskId).push(...JSON.parse(JSON.stringify(records)));
+  }
+  
+  async loadTrace(taskId) {
+    return this.traces.get(taskId) || [];
+  }
+}
+
+/**
+ * Task store that writes each task to its own directory:
+ *
+ *   <directory>/<taskId>/task.json
+ *   <directory>/<taskId>/artifacts/<name>
+ *   <directory>/<taskId>/trace.jsonl
+ *
+ * task.json is replaced atomically, and writes for the same task are queued
+ * so an older state never overwrites a newer one.
+ */
+class FileTaskStore extends TaskStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.directory - Directory for task data (defaults to TASKS_DIR or ./data/tasks)
+   */
+  constructor(options = {}) {
+    super({ ...options, name: 'file' });
+    this.directory = options.directory || process.env.TASKS_DIR || path.join(__dirname, '..', 'data', 'tasks');
+    this.writes = new Map();
+  }
+  
+  async save(record) {
+    const json = JSON.stringify(record, null, 2);
+    return this._enqueue(record.id, async () => {
+      const taskDir = this._taskDir(record.id);
+      await fs.promises.mkdir(taskDir, { recursive: true });
+      
+      const file = path.join(taskDir, 'task.json');
+      await fs.promises.writeFile(`${file}.tmp`, json);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+  }
+  
+  async load(taskId) {
+    try {
+      const json = await fs.promises.readFile(path.join(this._taskDir(taskId), 'task.json'), 'utf8');
+      return JSON.parse(json);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read task ${taskId}: ${error.message}`);
+    }
+  }
+  
+  async list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    
+    const records = [];
+    for (const entry of await fs.promises.readdir(this.directory, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      
+      try {
+        const record = await this.load(entry.name);
+        if (record) {
+          records.push(record);
+        }
+      } catch (error) {
+        // One corrupt task should not keep the others from loading
+        console.error(error.message);
+      }
+    }
+    return records;
+  }
+  
+  async saveArtifact(taskId, name, data) {
+    const artifactName = this._safeName(name);
+    await this._enqueue(`${taskId}/${artifactName}`, async () => {
+      const artifactDir = path.join(this._taskDir(taskId), 'artifacts');
+      await fs.promises.mkdir(artifactDir, { recursive: true });
+      await fs.promises.writeFile(path.join(artifactDir, artifactName), data);
+    });
+    return artifactName;
+  }
+  
+  async loadArtifact(taskId, name) {
+    try {
+      return await fs.promises.readFile(path.join(this._taskDir(taskId), 'artifacts', this._safeName(name)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  async appendTrace(taskId, records) {
+    const lines = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    await this._enqueue(`${taskId}/trace`, async () => {
+      const taskDir = this._taskDir(taskId);
+      await fs.promises.mkdir(taskDir, { recursive: true });
+      await fs.promises.appendFile(path.join(taskDir, 'trace.jsonl'), lines);
+    });
+  }
+  
+  async loadTrace(taskId) {
+    let jsonl;
+    try {
+      jsonl = await fs.promises.readFile(path.join(this._taskDir(taskId), 'trace.jsonl'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    // A line cut off by a crash is skipped rather than failing the whole trace
+    return jsonl.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+  
+  /**
+   * Run a write after every earlier write with the same key
+   * @param {string} key - The queue key
+   * @param {Function} write - The write to run
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueue(key, write) {
+    const previous = this.writes.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(write);
+    this.writes.set(key, next);
+    
+    // Forget the queue once it is drained
+    next.catch(() => {}).then(() => {
+      if (this.writes.get(key) === next) {
+        this.writes.delete(key);
+      }
+    });
+    return next;
+  }
+  
+  /**
+   * Get the directory of a task
+   * @param {string} taskId - The task id
+   * @returns {string} - The directory path
+   * @private
+   */
+  _taskDir(taskId) {
+    return path.join(this.directory, this._safeName(String(taskId)));
+  }
+  
+  /**
+   * Reduce a name to a single safe path segment
+   * @param {string} name - The name
+   * @returns {string} - The name without path separators or leading dots
+   * @private
+   */
+  _safeName(name) {
+    return path.basename(name).replace(/[^\w.-]/g, '_').replace(/^\.+/, '_');
+  }
+}
+
+/**
+ * Create the task store configured by TASK_STORE ("file" by default, or "memory")
+ * @param {object} options - Store options, passed to the store
+ * @param {string} options.store - The store name (overrides TASK_STORE)
+ * @returns {TaskStore} - The task store
+ */
+function createTaskStore(options = {}) {
+  const name = options.store || process.env.TASK_STORE || 'file';
+  
+  switch (name) {
+    case 'file':
+      return new FileTaskStore(options);
+    case 'memory':
+      return new MemoryTaskStore(options);
+    default:
+      throw new Error(`Unknown task store: ${name}`);
+  }
+}
+
+module.exports = { TaskStore, MemoryTaskStore, FileTaskStore, createTaskStore };
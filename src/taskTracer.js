@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Kinds of spans a trace holds
+const SPAN_KINDS = ['task', 'phase', 'model', 'tool'];
+
+/**
+ * Writes the structured trace of a task
+ *
+ * A trace is a list of spans, one JSON record each, written to the task store
+ * when the span ends:
+ *
+ *   { "taskId": "...", "spanId": "...", "parentSpanId": "...", "kind": "tool",
+ *     "name": "browser_click", "status": "success", "startTime": 1700000000000,
+ *     "endTime": 1700000000420, "durationMs": 420, "attributes": { ... } }
+ *
+ * Task spans hold phase spans, which hold model and tool spans. Times are
+ * milliseconds since the epoch. A failed write is logged; tracing never stops
+ * a task.
+ */
+class TaskTracer {
+  /**
+   * @param {object} options - Tracer options
+   * @param {string} options.taskId - The task the spans belong to
+   * @param {TaskStore} options.taskStore - Where the trace is written
+   */
+  constructor({ taskId, taskStore }) {
+    this.taskId = taskId;
+    this.taskStore = taskStore;
+  }
+  
+  /**
+   * Start a span that ends later
+   * @param {string} kind - One of SPAN_KINDS
+   * @param {string} name - What the span is about, e.g. the phase id
+   * @param {object} attributes - Details known when the span starts
+   * @param {string} parentSpanId - The enclosing span (optional)
+   * @returns {{spanId: string, end: Function}} - The span; end(status, attributes) writes it with more details
+   */
+  startSpan(kind, name, attributes = {}, parentSpanId = null) {
+    const spanId = this._createSpanId();
+    const startTime = Date.now();
+    let ended = false;
+    
+    return {
+      spanId,
+      end: (status = 'ok', endAttributes = {}) => {
+        if (ended) return;
+        ended = true;
+        this.record({
+          spanId,
+          parentSpanId,
+          kind,
+          name,
+          status,
+          startTime,
+          endTime: Date.now(),
+          attributes: { ...attributes, ...endAttributes }
+        });
+      }
+    };
+  }
+  
+  /**
+   * Write a span that already ended
+   * @param {object} span - The span ({ kind, name, status, startTime, endTime, attributes, parentSpanId })
+   * @returns {string} - The span id
+   */
+  record(span) {
+    const spanId = span.spanId || this._createSpanId();
+    const record = {
+      taskId: this.taskId,
+      spanId,
+      parentSpanId: span.parentSpanId || null,
+      kind: span.kind,
+      name: span.name,
+      status: span.status || 'ok',
+      startTime: span.startTime,
+      endTime: span.endTime,
+      durationMs: span.endTime - span.startTime,
+      attributes: span.attributes || {}
+    };
+    
+    this.taskStore.appendTrace(this.taskId, [record]).catch(error => {
+      console.error(`Failed to write trace of task ${this.taskId}:`, error);
+    });
+    return spanId;
+  }
+  
+  /**
+   * Create a random span id
+   * @returns {string} - 16 hex characters
+   * @private
+   */
+  _createSpanId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+}
+
+module.exports = { SPAN_KINDS, TaskTracer };
@@ -0,0 +1,64 @@
+const { createTimeoutError } = require('./abort');
+
+/**
+ * A time limit whose signal is aborted with a TimeoutError once it runs out
+ *
+ * The clock can be stopped and started again, e.g. while a task waits for a
+ * human to resume it or to decide on a tool call, so that time does not count
+ * against the limit. A limit of 0 or null never runs out.
+ */
+class TimeLimit {
+  /**
+   * @param {number} limitMs - Milliseconds the clock may run (0 or null for no limit)
+   * @param {object} options - Limit options
+   * @param {string} options.code - Code of the TimeoutError (PHASE_TIMEOUT or TASK_DEADLINE)
+   * @param {string} options.message - Message of the TimeoutError
+   */
+  constructor(limitMs, { code, message }) {
+    this.limitMs = limitMs || null;
+    this.code = code;
+    this.message = message;
+    this.remainingMs = this.limitMs;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.timer = null;
+    this.startedAt = null;
+    
+    this.start();
+  }
+  
+  /**
+   * Check if the limit ran out
+   * @returns {boolean} - True once the signal is aborted
+   */
+  get expired() {
+    return this.signal.aborted;
+  }
+  
+  /**
+   * Start (or restart) the clock
+   */
+  start() {
+    if (!this.limitMs || this.timer || this.expired) return;
+    
+    this.startedAt = Date.now();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.remainingMs = 0;
+      this.controller.abort(createTimeoutError(this.message, this.code));
+    }, this.remainingMs);
+  }
+  
+  /**
+   * Stop the clock, keeping the time that is left
+   */
+  stop() {
+    if (!this.timer) return;
+    
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.remainingMs = Math.max(this.remainingMs - (Date.now() - this.startedAt), 0);
+  }
+}
+
+module.exports = { TimeLimit };
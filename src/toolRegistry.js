@@ -82,6 +82,16 @@ class ToolRegistry {
     return this.tools.get(toolName) || null;
   }
   
+  /**
+   * Create a view of the registry with extra tools for one task
+   * @param {object[]} tools - The task's tool definitions
+   * @returns {ToolOverlay} - The overlay
+   * @throws {Error} - If a tool is invalid or its name is already taken
+   */
+  createOverlay(tools = []) {
+    return new ToolOverlay(this, tools);
+  }
+  
   /**
    * Remove a tool from the registry
    * @param {string} toolName - The name of the tool to remove
@@ -280,4 +290,93 @@ class ToolRegistry {
   }
 }
 
-module.exports = { ToolRegistry };
+/**
+ * Tools supplied with one task, layered over the shared registry
+ *
+ * An overlay answers lookups like a ToolRegistry, seeing the task's tools plus
+ * every shared tool. Task tools never reach the shared registry, so other
+ * tasks do not see them and they are gone once the task's overlay is dropped.
+ * A task tool may not take the name of a shared tool or of another task tool.
+ */
+class ToolOverlay {
+  /**
+   * @param {ToolRegistry} base - The shared registry
+   * @param {object[]} tools - The task's tool definitions
+   */
+  constructor(base, tools = []) {
+    this.base = base;
+    this.tools = new Map();
+    this.agentTools = new Map();
+    
+    for (const tool of tools) {
+      this.registerTool(tool);
+    }
+  }
+  
+  /**
+   * Add a tool for this task only
+   * @param {object} tool - The tool definition (see ToolRegistry.registerTool)
+   * @returns {boolean} - True if the tool was added
+   * @throws {Error} - If the tool is invalid or its name is already taken
+   */
+  registerTool(tool) {
+    if (!tool || !tool.name || !tool.description || !tool.parameters) {
+      throw new Error(`Task tool ${tool && tool.name ? tool.name : '(unnamed)'} must have name, description, and parameters`);
+    }
+    if (this.base.hasTool(tool.name)) {
+      throw new Error(`Task tool ${tool.name} has the same name as an existing tool`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Task tool ${tool.name} is provided more than once`);
+    }
+    
+    this.tools.set(tool.name, tool);
+    
+    const allowedAgents = tool.allowedAgents || ['executor'];
+    for (const agent of allowedAgents) {
+      if (!this.agentTools.has(agent)) {
+        this.agentTools.set(agent, new Set());
+      }
+      this.agentTools.get(agent).add(tool.name);
+    }
+    return true;
+  }
+  
+  /**
+   * Get all available tools
+   * @returns {object[]} - The shared tools followed by the task's tools
+   */
+  getAllTools() {
+    return [...this.base.getAllTools(), ...this.tools.values()];
+  }
+  
+  /**
+   * Get tools available for a specific agent role
+   * @param {string} agentRole - The role of the agent
+   * @returns {object[]} - The shared and task tools available to this agent
+   */
+  getToolsForAgent(agentRole) {
+    const taskTools = Array.from(this.agentTools.get(agentRole) || []).map(name => this.tools.get(name));
+    return [...this.base.getToolsForAgent(agentRole), ...taskTools];
+  }
+  
+  /**
+   * Check if a tool exists
+   * @param {string} toolName - The name of the tool
+   * @returns {boolean} - True if the task or the shared registry has the tool
+   */
+  hasTool(toolName) {
+    return this.tools.has(toolName) || this.base.hasTool(toolName);
+  }
+  
+  /**
+   * Get a specific tool by name
+   * @param {string} toolName - The name of the tool
+   * @returns {object|null} - The tool definition or null if not found
+   */
+  getTool(toolName) {
+    return this.tools.get(toolName) || this.base.getTool(toolName);
+  }
+}
+
+module.exports = { ToolRegistry, ToolOverlay };
@@ -0,0 +1,193 @@
+const fs = require('fs');
+
+// USD per million tokens, matched against model names by longest prefix
+const DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'mock-model': { input: 0, output: 0 }
+};
+
+/**
+ * Load the price table
+ * Prices from the file named by LLM_PRICES_PATH are merged over the defaults
+ * @param {object} options - Load options
+ * @param {string} options.pricesPath - Path to a JSON price table ({ "<model prefix>": { input, output } })
+ * @returns {object} - Map of model prefix to { input, output } in USD per million tokens
+ */
+function loadPriceTable(options = {}) {
+  const pricesPath = options.pricesPath || process.env.LLM_PRICES_PATH;
+  if (!pricesPath) {
+    return { ...DEFAULT_PRICES };
+  }
+  
+  try {
+    const prices = JSON.parse(fs.readFileSync(pricesPath, 'utf8'));
+    console.log(`Loaded LLM prices from ${pricesPath}`);
+    return { ...DEFAULT_PRICES, ...prices };
+  } catch (error) {
+    throw new Error(`Failed to read LLM prices ${pricesPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Adds up token usage and estimated cost of the model calls made for a task
+ *
+ * Usage is totalled for the whole task, per agent role, per phase and per
+ * model. When a spending cap is set, record() throws once the estimated cost
+ * goes over it; the error has `code = 'SPENDING_CAP_EXCEEDED'`.
+ */
+class UsageTracker {
+  /**
+   * @param {object} options - Tracker options
+   * @param {object} options.prices - Price table (defaults to loadPriceTable())
+   * @param {number} options.maxCost - Spending cap in USD (null for no cap)
+   */
+  constructor(options = {}) {
+    this.prices = options.prices || loadPriceTable();
+    this.maxCost = options.maxCost !== undefined && options.maxCost !== null ? options.maxCost : null;
+    
+    this.total = this._emptyTotals();
+    this.byAgent = {};
+    this.byPhase = {};
+    this.byModel = {};
+    this.unpricedModels = new Set();
+  }
+  
+  /**
+   * Record the usage of one model call
+   * @param {object} call - The call
+   * @param {string} call.role - The agent role that made the call
+   * @param {string} call.phase - The workflow phase
+   * @param {string} call.model - The model used
+   * @param {object} call.usage - Token usage ({ promptTokens, outputTokens, totalTokens })
+   * @returns {{promptTokens: number, outputTokens: number, totalTokens: number, cost: number}} - The call's usage and cost
+   * @throws {Error} - If the spending cap is exceeded
+   */
+  record({ role, phase, model, usage }) {
+    const entry = {
+      promptTokens: usage.promptTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.outputTokens || 0),
+      cost: this.estimateCost(model, usage)
+    };
+    
+    this._add(this.total, entry);
+    this._add(this.byAgent[role] = this.byAgent[role] || this._emptyTotals(), entry);
+    this._add(this.byPhase[phase] = this.byPhase[phase] || this._emptyTotals(), entry);
+    this._add(this.byModel[model] = this.byModel[model] || this._emptyTotals(), entry);
+    
+    if (this.maxCost !== null && this.total.cost > this.maxCost) {
+      const error = new Error(`Spending cap of $${this.maxCost.toFixed(4)} exceeded (estimated $${this.total.cost.toFixed(4)})`);
+      error.code = 'SPENDING_CAP_EXCEEDED';
+      throw error;
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Estimate the cost of a call
+   * @param {string} model - The model used
+   * @param {object} usage - Token usage ({ promptTokens, outputTokens })
+   * @returns {number} - Cost in USD (0 for models missing from the price table)
+   */
+  estimateCost(model, usage) {
+    const price = this._findPrice(model);
+    if (!price) {
+      if (!this.unpricedModels.has(model)) {
+        console.warn(`No price configured for model ${model}; its cost is counted as 0`);
+        this.unpricedModels.add(model);
+      }
+      return 0;
+    }
+    
+    return ((usage.promptTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+  }
+  
+  /**
+   * Get the usage totals
+   * @returns {object} - Totals for the task and per agent, phase and model, plus the cap
+   */
+  getSummary() {
+    return {
+      ...this.total,
+      maxCost: this.maxCost,
+      byAgent: this.byAgent,
+      byPhase: this.byPhase,
+      byModel: this.byModel,
+      unpricedModels: [...this.unpricedModels]
+    };
+  }
+  
+  /**
+   * Restore a tracker from a summary returned by getSummary()
+   * @param {object} summary - The saved summary
+   * @param {object} options - Tracker options (the cap defaults to the saved one)
+   * @returns {UsageTracker} - The tracker, ready to record more calls
+   */
+  static fromSummary(summary, options = {}) {
+    const tracker = new UsageTracker({
+      ...options,
+      maxCost: options.maxCost !== undefined ? options.maxCost : summary.maxCost
+    });
+    
+    const { calls, promptTokens, outputTokens, totalTokens, cost } = summary;
+    tracker.total = { calls, promptTokens, outputTokens, totalTokens, cost };
+    tracker.byAgent = { ...summary.byAgent };
+    tracker.byPhase = { ...summary.byPhase };
+    tracker.byModel = { ...summary.byModel };
+    tracker.unpricedModels = new Set(summary.unpricedModels || []);
+    return tracker;
+  }
+  
+  /**
+   * Get the totals of one phase
+   * @param {string} phase - The phase
+   * @returns {object} - A copy of the phase totals (zeroed if the phase made no calls)
+   */
+  getPhaseUsage(phase) {
+    return { ...(this.byPhase[phase] || this._emptyTotals()) };
+  }
+  
+  /**
+   * Find the price of a model by longest matching prefix
+   * @param {string} model - The model name
+   * @returns {object|null} - The price ({ input, output }), or null if none matches
+   * @private
+   */
+  _findPrice(model) {
+    const name = (model || '').replace(/^models\//, '');
+    const prefix = Object.keys(this.prices)
+      .filter(key => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+  
+  /**
+   * Create an empty totals object
+   * @returns {object} - Zeroed totals
+   * @private
+   */
+  _emptyTotals() {
+    return { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+  }
+  
+  /**
+   * Add a call to a totals object
+   * @param {object} totals - The totals to update
+   * @param {object} entry - The call's usage and cost
+   * @private
+   */
+  _add(totals, entry) {
+    totals.calls++;
+    totals.promptTokens += entry.promptTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.totalTokens += entry.totalTokens;
+    totals.cost += entry.cost;
+  }
+}
+
+module.exports = { DEFAULT_PRICES, loadPriceTable, UsageTracker };
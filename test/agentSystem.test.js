@@ -0,0 +1,183 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { AgentSystem } = require('../src/agentSystem');
+const { MockProvider } = require('../src/llmProvider');
+const { MemoryTaskStore } = require('../src/taskStore');
+const { ApprovalPolicy } = require('../src/approvalPolicy');
+const { TaskQueue } = require('../src/taskQueue');
+
+const PLAN = JSON.stringify({
+  goal: 'Find the price of a pendant',
+  steps: [
+    { id: 's1', intent: 'Open the pendants page', targetPage: '/pendants', expectedOutcome: 'Pendants are listed', successCheck: 'The page shows products' }
+  ]
+});
+
+/**
+ * Create a pool whose sessions all run tool calls on one stub client
+ * @param {Array} toolCalls - Receives every tool call ({ name, args })
+ * @returns {object} - The pool
+ */
+function createStubSessions(toolCalls) {
+  const client = {
+    executeTool: async (name, args) => {
+      toolCalls.push({ name, args });
+      return { text: `Visited ${args.url}` };
+    },
+    stop: async () => {}
+  };
+  
+  return {
+    acquire: async (taskId) => ({ taskId, port: 0, userDataDir: null, keep: false, client }),
+    release: async () => {},
+    stopAll: async () => {}
+  };
+}
+
+/**
+ * Start a task and wait until it finishes
+ * @param {object} options - AgentSystem options besides the stubs
+ * @param {Array} script - The MockProvider script
+ * @returns {Promise<object>} - The task status, the provider, the tool calls and the status updates
+ */
+async function runTask(options, script) {
+  const provider = new MockProvider({ script });
+  const toolCalls = [];
+  const updates = [];
+  let resolveFinished;
+  const finished = new Promise(resolve => {
+    resolveFinished = resolve;
+  });
+  
+  const agentSystem = new AgentSystem({
+    provider,
+    taskStore: new MemoryTaskStore(),
+    browserSessions: createStubSessions(toolCalls),
+    approvalPolicy: new ApprovalPolicy({ rules: [] }),
+    plugins: [],
+    tracing: false,
+    eventSinks: [event => {
+      if (event.type !== 'task_update') return;
+      updates.push(event.status);
+      if (['completed', 'failed', 'stopped', 'cancelled'].includes(event.status)) {
+        resolveFinished();
+      }
+    }],
+    ...options
+  });
+  
+  const taskId = await agentSystem.startTask('What does the cheapest pendant cost?');
+  await finished;
+  
+  return { status: await agentSystem.getTaskStatus(taskId), provider, toolCalls, updates };
+}
+
+describe('AgentSystem workflow with MockProvider', () => {
+  test('runs thinker, planner, executor with a tool call and reviewer', async () => {
+    const { status, provider, toolCalls, updates } = await runTask({}, [
+      { role: 'thinker', text: 'The user wants a price.' },
+      { role: 'planner', text: PLAN },
+      { role: 'executor', text: 'Opening the page.', functionCalls: [{ name: 'browser_navigate', args: { url: '/pendants' } }] },
+      { role: 'executor', text: 'The cheapest pendant costs $120.' },
+      { role: 'reviewer', text: JSON.stringify({ verdict: 'pass', summary: 'The price was found.' }) }
+    ]);
+    
+    assert.equal(status.status, 'completed');
+    assert.deepEqual(updates, ['thinking', 'planning', 'executing', 'reviewing', 'completed']);
+    assert.deepEqual(toolCalls, [{ name: 'browser_navigate', args: { url: '/pendants' } }]);
+    
+    // The executor sees the tool result before giving its answer
+    const executorCalls = provider.calls.filter(call => call.role === 'executor');
+    assert.equal(executorCalls.length, 2);
+    assert.match(JSON.stringify(executorCalls[1].message), /Visited \/pendants/);
+    
+    const phases = status.history.filter(entry => entry.output !== undefined).map(entry => entry.phase);
+    assert.deepEqual(phases, ['thinking', 'planning', 'executing', 'reviewing']);
+    const toolEntry = status.history.find(entry => entry.type === 'tool_call');
+    assert.equal(toolEntry.tool, 'browser_navigate');
+    assert.equal(toolEntry.status, 'success');
+    
+    for (const key of ['pipeline', 'outputs', 'finalResult', 'rounds', 'verdict', 'plan', 'usage', 'timeouts', 'thinking', 'planning', 'execution', 'review']) {
+      assert.ok(key in status.result, `result has ${key}`);
+    }
+    assert.equal(status.result.execution, 'Opening the page.\n\nThe cheapest pendant costs $120.');
+    assert.equal(status.result.verdict.verdict, 'pass');
+    assert.equal(status.result.plan.steps[0].id, 's1');
+    assert.equal(status.result.rounds, 1);
+  });
+  
+  test('a retry verdict starts another round from the phase it names', async () => {
+    const { status, updates } = await runTask({}, [
+      { role: 'thinker', text: 'The user wants a price.' },
+      { role: 'planner', text: PLAN },
+      { role: 'executor', text: 'I could not find it.' },
+      { role: 'reviewer', text: JSON.stringify({ verdict: 'retry', summary: 'No price yet.', retryFrom: 'executing', feedback: 'Look again.' }) },
+      { role: 'executor', text: 'The cheapest pendant costs $120.' },
+      { role: 'reviewer', text: JSON.stringify({ verdict: 'pass', summary: 'The price was found.' }) }
+    ]);
+    
+    assert.equal(status.status, 'completed');
+    assert.equal(status.result.rounds, 2);
+    assert.equal(status.result.execution, 'The cheapest pendant costs $120.');
+    assert.deepEqual(updates, ['thinking', 'planning', 'executing', 'reviewing', 'executing', 'reviewing', 'completed']);
+  });
+  
+  test('fails when the planner never produces a valid plan', async () => {
+    const { status } = await runTask({}, []);
+    
+    assert.equal(status.status, 'failed');
+    assert.match(status.result.error, /valid plan/);
+  });
+});
+
+describe('AgentSystem with a full queue', () => {
+  /**
+   * Create an agent system whose plugin records the taskStart and taskEnd hooks
+   * @param {TaskQueue} queue - The task queue
+   * @param {Function} onTaskStart - Runs inside the taskStart hook (optional)
+   * @returns {{agentSystem: AgentSystem, hooks: Array}} - The agent system and the hooks that ran
+   */
+  function createSystem(queue, onTaskStart = () => {}) {
+    const hooks = [];
+    const agentSystem = new AgentSystem({
+      provider: new MockProvider(),
+      taskStore: new MemoryTaskStore(),
+      browserSessions: createStubSessions([]),
+      approvalPolicy: new ApprovalPolicy({ rules: [] }),
+      queue,
+      tracing: false,
+      plugins: [{
+        name: 'recorder',
+        taskStart: ({ taskId }) => {
+          hooks.push(['taskStart', taskId]);
+          onTaskStart();
+        },
+        taskEnd: ({ taskId, status }) => {
+          hooks.push(['taskEnd', taskId, status]);
+        }
+      }]
+    });
+    return { agentSystem, hooks };
+  }
+  
+  test('rejects the task before plugins hear that it started', async () => {
+    const queue = new TaskQueue({ maxLength: 1 });
+    queue.add('waiting');
+    const { agentSystem, hooks } = createSystem(queue);
+    
+    await assert.rejects(agentSystem.startTask('Find a pendant'), { code: 'QUEUE_FULL' });
+    assert.deepEqual(hooks, []);
+  });
+  
+  test('ends the task for plugins when the queue fills up while they run', async () => {
+    const queue = new TaskQueue({ maxLength: 1 });
+    const { agentSystem, hooks } = createSystem(queue, () => queue.add('other'));
+    
+    await assert.rejects(agentSystem.startTask('Find a pendant'), { code: 'QUEUE_FULL' });
+    assert.equal(hooks.length, 2);
+    const [[startHook, startId], [endHook, endId, status]] = hooks;
+    assert.deepEqual([startHook, endHook, status], ['taskStart', 'taskEnd', 'rejected']);
+    assert.equal(endId, startId);
+    await assert.rejects(agentSystem.getTaskStatus(startId), /not found/);
+  });
+});
@@ -0,0 +1,69 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApprovalPolicy, DEFAULT_APPROVAL_RULES } = require('../src/approvalPolicy');
+
+describe('ApprovalPolicy', () => {
+  test('the default rules hold purchase clicks and leave other clicks alone', () => {
+    const policy = new ApprovalPolicy({ rules: DEFAULT_APPROVAL_RULES });
+    
+    assert.deepEqual(policy.check('browser_click', { element: 'Place Order button', ref: 'e12' }), {
+      tool: 'browser_click',
+      reason: 'Clicks a purchase button'
+    });
+    assert.equal(policy.check('browser_click', { element: 'Add to cart', ref: 'e7' }), null);
+    assert.equal(policy.check('browser_navigate', { url: 'https://example.com/buy-now' }), null);
+  });
+  
+  test('a rule without args matches every call of its tool', () => {
+    const policy = new ApprovalPolicy({ rules: [{ tool: 'run_command' }] });
+    
+    assert.deepEqual(policy.check('run_command', {}), { tool: 'run_command', reason: 'Calls run_command' });
+    assert.deepEqual(policy.check('run_command'), { tool: 'run_command', reason: 'Calls run_command' });
+  });
+  
+  test('every pattern of a rule must match', () => {
+    const policy = new ApprovalPolicy({
+      rules: [{ tool: 'browser_type', args: { element: 'card number', text: '^\\d{16}$' }, reason: 'Types a card number' }]
+    });
+    
+    assert.ok(policy.check('browser_type', { element: 'Card Number field', text: '4111111111111111' }));
+    assert.equal(policy.check('browser_type', { element: 'Card Number field', text: 'hello' }), null);
+    assert.equal(policy.check('browser_type', { element: 'Card Number field' }), null);
+  });
+  
+  test('object arguments are matched as JSON', () => {
+    const policy = new ApprovalPolicy({ rules: [{ tool: 'browser_file_upload', args: { paths: 'secrets' } }] });
+    
+    assert.ok(policy.check('browser_file_upload', { paths: ['/home/me/secrets.txt'] }));
+    assert.equal(policy.check('browser_file_upload', { paths: ['/tmp/photo.jpg'] }), null);
+  });
+  
+  test('an empty rule list turns approvals off', () => {
+    const policy = new ApprovalPolicy({ rules: [] });
+    
+    assert.equal(policy.check('run_command', { command: 'rm -rf /' }), null);
+  });
+  
+  test('rejects rules without a tool or with an invalid pattern', () => {
+    assert.throws(() => new ApprovalPolicy({ rules: [{ reason: 'No tool' }] }), /rule 0 needs a tool name/);
+    assert.throws(() => new ApprovalPolicy({ rules: [{ tool: 'browser_click', args: { element: '(' } }] }), /invalid pattern for element/);
+  });
+  
+  test('reads the rules from a policy file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approval-policy-'));
+    const policyPath = path.join(dir, 'policy.json');
+    fs.writeFileSync(policyPath, JSON.stringify({ rules: [{ tool: 'write_file', reason: 'Writes a file' }] }));
+    
+    const policy = new ApprovalPolicy({ policyPath });
+    assert.deepEqual(policy.check('write_file', { path: 'a.txt' }), { tool: 'write_file', reason: 'Writes a file' });
+    assert.equal(policy.check('run_command', { command: 'ls' }), null);
+    
+    fs.writeFileSync(policyPath, JSON.stringify({ rules: 'all' }));
+    assert.throws(() => new ApprovalPolicy({ policyPath }), /"rules" must be an array/);
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
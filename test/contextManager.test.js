@@ -0,0 +1,36 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { ContextManager } = require('../src/contextManager');
+const { MockProvider } = require('../src/llmProvider');
+
+const STEPS = [
+  { role: 'thinking', content: 'x'.repeat(4000) },
+  { role: 'planning', content: 'The plan.' }
+];
+
+describe('ContextManager', () => {
+  test('leaves steps within the budget alone', async () => {
+    const manager = new ContextManager({ maxTokens: 10000, strategy: 'heuristic' });
+    const { steps, compression } = await manager.fit('Task', STEPS);
+    
+    assert.equal(steps, STEPS);
+    assert.equal(compression, null);
+  });
+  
+  test('a summary cache is reused only by the fit calls it is passed to', async () => {
+    const provider = new MockProvider({ defaultText: 'Thought about it.' });
+    const manager = new ContextManager({ provider, maxTokens: 200, summaryTokens: 50 });
+    
+    const summaryCache = new Map();
+    await manager.fit('Task', STEPS, { summaryCache });
+    await manager.fit('Task', STEPS, { summaryCache });
+    assert.equal(provider.calls.length, 1);
+    assert.equal(summaryCache.size, 1);
+    
+    // Without a cache of its own, a run summarizes the step again
+    const { steps } = await manager.fit('Task', STEPS);
+    assert.equal(provider.calls.length, 2);
+    assert.equal(steps[0].content, '[Summary of earlier output]\nThought about it.');
+    assert.equal(steps[1].content, 'The plan.');
+  });
+});
@@ -0,0 +1,67 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventLog } = require('../src/eventLog');
+
+describe('EventLog', () => {
+  test('numbers events one after another across tasks', () => {
+    const log = new EventLog({ startId: 0 });
+    const ids = [
+      log.append({ type: 'task_started', taskId: 'a' }),
+      log.append({ type: 'task_started', taskId: 'b' }),
+      log.append({ type: 'queue_position' })
+    ].map(event => event.id);
+    
+    assert.deepEqual(ids, [1, 2, 3]);
+  });
+  
+  test('since returns the events after an id, oldest first', () => {
+    const log = new EventLog({ startId: 0 });
+    ['a', 'b', 'a', 'b'].forEach(taskId => log.append({ type: 'task_update', taskId }));
+    
+    assert.deepEqual(log.since(1).map(event => event.id), [2, 3, 4]);
+    assert.deepEqual(log.since(1, 'a').map(event => event.id), [3]);
+    assert.deepEqual(log.since(0, 'unknown'), []);
+  });
+  
+  test('keeps only the newest events of each task', () => {
+    const log = new EventLog({ maxEventsPerTask: 2, startId: 0 });
+    for (let i = 0; i < 4; i++) {
+      log.append({ type: 'task_update', taskId: 'a' });
+    }
+    log.append({ type: 'task_update', taskId: 'b' });
+    
+    assert.deepEqual(log.since(0, 'a').map(event => event.id), [3, 4]);
+    assert.deepEqual(log.since(0, 'b').map(event => event.id), [5]);
+  });
+  
+  test('stream events do not push other events out of the log', () => {
+    const log = new EventLog({ maxEventsPerTask: 3, maxStreamEventsPerTask: 2, startId: 0 });
+    log.append({ type: 'task_started', taskId: 'a' });
+    log.append({ type: 'approval_required', taskId: 'a' });
+    for (let i = 0; i < 10; i++) {
+      log.append({ type: 'agent_stream', taskId: 'a', kind: 'text', text: `word${i} ` });
+    }
+    log.append({ type: 'task_update', taskId: 'a' });
+    
+    const replayed = log.since(0, 'a');
+    assert.deepEqual(replayed.map(event => event.type), ['task_started', 'approval_required', 'agent_stream', 'agent_stream', 'task_update']);
+    assert.deepEqual(replayed.filter(event => event.type === 'agent_stream').map(event => event.text), ['word8 ', 'word9 ']);
+    assert.deepEqual(log.since(0).map(event => event.id), replayed.map(event => event.id));
+  });
+  
+  test('ids start after the time the log was created, so a restart does not reuse them', () => {
+    const now = Date.now();
+    const log = new EventLog();
+    
+    assert.ok(log.append({ type: 'task_update', taskId: 'a' }).id > now);
+  });
+  
+  test('an id the log has not reached yet replays every kept event', () => {
+    const log = new EventLog({ startId: 100 });
+    log.append({ type: 'task_started', taskId: 'a' });
+    log.append({ type: 'task_update', taskId: 'a' });
+    
+    assert.deepEqual(log.since(5000, 'a').map(event => event.id), [101, 102]);
+    assert.deepEqual(log.since(101, 'a').map(event => event.id), [102]);
+  });
+});
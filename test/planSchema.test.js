@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, parsePlan, validatePlan, initializePlanProgress } = require('../src/planSchema');
+
+/**
+ * Create a valid plan step
+ * @param {string} id - The step id
+ * @returns {object} - The step
+ */
+function step(id) {
+  return {
+    id,
+    intent: `Do ${id}`,
+    targetPage: '/page',
+    expectedOutcome: 'It worked',
+    successCheck: 'A confirmation is shown'
+  };
+}
+
+describe('extractJson', () => {
+  test('reads bare JSON and JSON in a code fence', () => {
+    assert.deepEqual(extractJson('{"a": 1}').value, { a: 1 });
+    assert.deepEqual(extractJson('Here is the plan:\n```json\n{"a": 1}\n```\nDone.').value, { a: 1 });
+  });
+  
+  test('finds the object in surrounding prose', () => {
+    assert.deepEqual(extractJson('The plan is {"a": {"b": 2}} as requested.').value, { a: { b: 2 } });
+  });
+  
+  test('reports empty and invalid responses', () => {
+    assert.deepEqual(extractJson('').errors, ['The response was empty']);
+    assert.deepEqual(extractJson(null).errors, ['The response was empty']);
+    assert.match(extractJson('Mock response.').errors[0], /not valid JSON/);
+  });
+});
+
+describe('parsePlan', () => {
+  test('returns a valid plan', () => {
+    const { plan, errors } = parsePlan(JSON.stringify({ goal: 'Buy it', steps: [step('s1'), step('s2')] }));
+    
+    assert.deepEqual(errors, []);
+    assert.equal(plan.goal, 'Buy it');
+    assert.deepEqual(plan.steps.map(s => s.id), ['s1', 's2']);
+  });
+  
+  test('returns no plan for text that is not JSON', () => {
+    const { plan, errors } = parsePlan('First open the page, then click buy.');
+    
+    assert.equal(plan, null);
+    assert.equal(errors.length, 1);
+  });
+  
+  test('returns no plan with the validation errors', () => {
+    const { plan, errors } = parsePlan(JSON.stringify({ steps: [] }));
+    
+    assert.equal(plan, null);
+    assert.deepEqual(errors, ['"steps" must be a non-empty array']);
+  });
+});
+
+describe('validatePlan', () => {
+  test('accepts a plan without a goal', () => {
+    assert.deepEqual(validatePlan({ steps: [step('s1')] }), []);
+  });
+  
+  test('rejects plans that are not objects', () => {
+    assert.deepEqual(validatePlan([step('s1')]), ['The plan must be a JSON object']);
+    assert.deepEqual(validatePlan(null), ['The plan must be a JSON object']);
+  });
+  
+  test('reports a goal that is not a string', () => {
+    assert.deepEqual(validatePlan({ goal: 3, steps: [step('s1')] }), ['"goal" must be a string']);
+  });
+  
+  test('reports every missing or empty step field', () => {
+    const errors = validatePlan({ steps: [{ id: 's1', intent: ' ', targetPage: '/page' }, 'open the page'] });
+    
+    assert.deepEqual(errors, [
+      'steps[0].intent must be a non-empty string',
+      'steps[0].expectedOutcome must be a non-empty string',
+      'steps[0].successCheck must be a non-empty string',
+      'steps[1] must be an object'
+    ]);
+  });
+  
+  test('reports duplicate step ids', () => {
+    assert.deepEqual(validatePlan({ steps: [step('s1'), step('s1')] }), ['steps[1].id "s1" is not unique']);
+  });
+});
+
+describe('initializePlanProgress', () => {
+  test('starts every step as pending and drops unknown fields', () => {
+    const progress = initializePlanProgress({ steps: [{ ...step('s1'), extra: true }] });
+    
+    assert.equal(progress.goal, null);
+    assert.deepEqual(progress.steps, [{ ...step('s1'), status: 'pending', note: null, updatedAt: null }]);
+  });
+});
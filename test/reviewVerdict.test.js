@@ -0,0 +1,61 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVerdict } = require('../src/reviewVerdict');
+
+// Phases the default pipeline's review may send a task back to
+const RETRY_PHASES = ['executing', 'planning'];
+
+describe('parseVerdict', () => {
+  test('returns a pass verdict', () => {
+    const { verdict, errors } = parseVerdict('{"verdict": "pass", "summary": "Done"}', RETRY_PHASES);
+    
+    assert.deepEqual(errors, []);
+    assert.deepEqual(verdict, { verdict: 'pass', summary: 'Done' });
+  });
+  
+  test('returns a retry verdict in a code fence', () => {
+    const text = 'My review:\n```json\n{"verdict": "retry", "summary": "Not done", "feedback": "Use the search box", "retryFrom": "planning"}\n```';
+    const { verdict, errors } = parseVerdict(text, RETRY_PHASES);
+    
+    assert.deepEqual(errors, []);
+    assert.equal(verdict.retryFrom, 'planning');
+    assert.equal(verdict.feedback, 'Use the search box');
+  });
+  
+  test('returns no verdict for text that is not JSON', () => {
+    const { verdict, errors } = parseVerdict('Looks good to me.', RETRY_PHASES);
+    
+    assert.equal(verdict, null);
+    assert.match(errors[0], /not valid JSON/);
+  });
+  
+  test('reports an unknown verdict and a missing summary', () => {
+    const { verdict, errors } = parseVerdict('{"verdict": "maybe"}', RETRY_PHASES);
+    
+    assert.equal(verdict, null);
+    assert.deepEqual(errors, ['"verdict" must be one of pass, retry', '"summary" must be a string']);
+  });
+  
+  test('requires feedback for a retry', () => {
+    const { errors } = parseVerdict('{"verdict": "retry", "summary": "Not done", "feedback": " "}', RETRY_PHASES);
+    
+    assert.deepEqual(errors, ['"feedback" must be a non-empty string when the verdict is "retry"']);
+  });
+  
+  test('rejects a retryFrom phase the review may not send the task back to', () => {
+    const { verdict, errors } = parseVerdict('{"verdict": "retry", "summary": "Not done", "feedback": "Again", "retryFrom": "thinking"}', RETRY_PHASES);
+    
+    assert.equal(verdict, null);
+    assert.deepEqual(errors, ['"retryFrom" must be one of executing, planning']);
+  });
+  
+  test('allows a null retryFrom', () => {
+    const { errors } = parseVerdict('{"verdict": "retry", "summary": "Not done", "feedback": "Again", "retryFrom": null}', RETRY_PHASES);
+    
+    assert.deepEqual(errors, []);
+  });
+  
+  test('rejects a verdict that is not an object', () => {
+    assert.deepEqual(parseVerdict('["pass"]', RETRY_PHASES).errors, ['The verdict must be a JSON object']);
+  });
+});
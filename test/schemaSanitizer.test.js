@@ -0,0 +1,238 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeSchema, sanitizeToolParameters } = require('../src/schemaSanitizer');
+
+// Tool definitions in the shape Playwright MCP returns from tools/list
+const playwrightTools = require('./fixtures/playwright-mcp-tools.json');
+
+// Keywords the provider accepts in a function parameters schema
+const ALLOWED_KEYWORDS = [
+  'type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required',
+  'minItems', 'maxItems', 'minimum', 'maximum'
+];
+
+/**
+ * Assert that every node of a schema only uses allowed keywords
+ * @param {object} schema - The schema to check
+ * @param {string} path - Path of the node, for failure messages
+ */
+function assertProviderSubset(schema, path = '$') {
+  for (const keyword of Object.keys(schema)) {
+    assert.ok(ALLOWED_KEYWORDS.includes(keyword), `${path} uses unsupported keyword ${keyword}`);
+  }
+  
+  assert.ok(['string', 'number', 'integer', 'boolean', 'array', 'object'].includes(schema.type), `${path} has type ${schema.type}`);
+  
+  if (schema.enum) {
+    assert.ok(schema.enum.every(value => typeof value === 'string'), `${path} has a non-string enum`);
+  }
+  
+  if (schema.type === 'array') {
+    assert.ok(schema.items, `${path} is an array without items`);
+    assertProviderSubset(schema.items, `${path}[]`);
+  }
+  
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    assertProviderSubset(property, `${path}.${name}`);
+  }
+}
+
+describe('Playwright MCP schemas', () => {
+  for (const tool of playwrightTools) {
+    test(`${tool.name} is converted to the provider subset`, () => {
+      const { schema } = sanitizeSchema(tool.inputSchema, { path: tool.name });
+      assertProviderSubset(schema, tool.name);
+      assert.deepEqual(Object.keys(schema.properties), Object.keys(tool.inputSchema.properties));
+      assert.deepEqual(schema.required, tool.inputSchema.required);
+    });
+  }
+  
+  test('reports $schema, additionalProperties and default as dropped', () => {
+    const tool = playwrightTools.find(t => t.name === 'browser_take_screenshot');
+    const { schema, dropped } = sanitizeSchema(tool.inputSchema, { path: tool.name });
+    
+    assert.deepEqual(
+      dropped.map(entry => `${entry.path}.${entry.keyword}`).sort(),
+      [
+        'browser_take_screenshot.$schema',
+        'browser_take_screenshot.additionalProperties',
+        'browser_take_screenshot.type.default'
+      ]
+    );
+    assert.deepEqual(schema.properties.type, {
+      type: 'string',
+      enum: ['png', 'jpeg'],
+      description: 'Image format for the screenshot. Default is png.'
+    });
+  });
+  
+  test('keeps array items and required properties intact', () => {
+    const tool = playwrightTools.find(t => t.name === 'browser_select_option');
+    const { schema } = sanitizeSchema(tool.inputSchema);
+    
+    assert.deepEqual(schema.properties.values.items, { type: 'string' });
+    assert.deepEqual(schema.required, ['element', 'ref', 'values']);
+  });
+  
+  test('does not modify the input schema', () => {
+    const tool = playwrightTools.find(t => t.name === 'browser_type');
+    const before = JSON.stringify(tool.inputSchema);
+    sanitizeSchema(tool.inputSchema);
+    assert.equal(JSON.stringify(tool.inputSchema), before);
+  });
+  
+  test('tools without properties get no parameters', () => {
+    const tool = playwrightTools.find(t => t.name === 'browser_navigate_back');
+    const { parameters } = sanitizeToolParameters({ name: tool.name, parameters: tool.inputSchema });
+    assert.equal(parameters, undefined);
+  });
+});
+
+describe('JSON Schema features outside the provider subset', () => {
+  test('nullable type arrays become nullable', () => {
+    const { schema } = sanitizeSchema({
+      type: 'object',
+      properties: { ref: { type: ['string', 'null'] } }
+    });
+    
+    assert.deepEqual(schema.properties.ref, { type: 'string', nullable: true });
+  });
+  
+  test('anyOf with a null branch becomes nullable', () => {
+    const { schema, dropped } = sanitizeSchema({
+      type: 'object',
+      properties: {
+        timeout: { anyOf: [{ type: 'number' }, { type: 'null' }], description: 'Timeout in ms' }
+      }
+    });
+    
+    assert.deepEqual(schema.properties.timeout, { type: 'number', description: 'Timeout in ms', nullable: true });
+    assert.equal(dropped[0].keyword, 'anyOf');
+  });
+  
+  test('oneOf string literals are merged into one enum', () => {
+    const { schema } = sanitizeSchema({
+      type: 'object',
+      properties: {
+        button: { oneOf: [{ type: 'string', const: 'left' }, { type: 'string', enum: ['right', 'middle'] }] }
+      }
+    });
+    
+    assert.deepEqual(schema.properties.button, { type: 'string', enum: ['left', 'right', 'middle'] });
+  });
+  
+  test('anyOf objects are merged and only shared required properties stay required', () => {
+    const { schema } = sanitizeSchema({
+      anyOf: [
+        { type: 'object', properties: { ref: { type: 'string' }, element: { type: 'string' } }, required: ['ref', 'element'] },
+        { type: 'object', properties: { ref: { type: 'string' }, x: { type: 'number' } }, required: ['ref', 'x'] }
+      ]
+    });
+    
+    assert.deepEqual(Object.keys(schema.properties), ['ref', 'element', 'x']);
+    assert.deepEqual(schema.required, ['ref']);
+  });
+  
+  test('mixed anyOf keeps the first alternative and reports the rest', () => {
+    const { schema, dropped } = sanitizeSchema({
+      type: 'object',
+      properties: { value: { anyOf: [{ type: 'string' }, { type: 'number' }] } }
+    });
+    
+    assert.equal(schema.properties.value.type, 'string');
+    assert.match(dropped.find(entry => entry.keyword === 'anyOf').reason, /number/);
+  });
+  
+  test('non-string enums move to the description', () => {
+    const { schema, dropped } = sanitizeSchema({
+      type: 'object',
+      properties: { index: { type: 'integer', enum: [0, 1, 2], description: 'Tab index' } }
+    });
+    
+    assert.deepEqual(schema.properties.index, { type: 'integer', description: 'Tab index (Allowed values: 0, 1, 2)' });
+    assert.equal(dropped[0].keyword, 'enum');
+  });
+  
+  test('$ref is resolved against $defs, including nested arrays of objects', () => {
+    const { schema, dropped } = sanitizeSchema({
+      type: 'object',
+      properties: {
+        fields: { type: 'array', items: { $ref: '#/$defs/field' } }
+      },
+      $defs: {
+        field: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            options: { type: 'array', items: { type: 'array', items: { $ref: '#/$defs/option' } } }
+          },
+          required: ['name']
+        },
+        option: { type: 'object', properties: { label: { type: 'string' }, value: { type: 'integer' } } }
+      }
+    });
+    
+    assertProviderSubset(schema);
+    assert.deepEqual(schema.properties.fields.items.properties.options.items.items.properties.value, { type: 'integer' });
+    assert.deepEqual(dropped, []);
+  });
+  
+  test('recursive $ref becomes a plain object', () => {
+    const { schema, dropped } = sanitizeSchema({
+      type: 'object',
+      properties: { node: { $ref: '#/definitions/node' } },
+      definitions: {
+        node: { type: 'object', properties: { children: { type: 'array', items: { $ref: '#/definitions/node' } } } }
+      }
+    });
+    
+    assert.deepEqual(schema.properties.node.properties.children.items, { type: 'object' });
+    assert.equal(dropped[0].keyword, '$ref');
+  });
+  
+  test('unresolvable $ref is reported', () => {
+    const { schema, dropped } = sanitizeSchema({
+      type: 'object',
+      properties: { value: { $ref: 'https://example.com/schema.json' } }
+    });
+    
+    assert.deepEqual(schema.properties.value, { type: 'string' });
+    assert.match(dropped[0].reason, /cannot resolve/);
+  });
+  
+  test('allOf branches are merged', () => {
+    const { schema } = sanitizeSchema({
+      allOf: [
+        { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+        { properties: { b: { type: 'boolean' } }, required: ['b'] }
+      ]
+    });
+    
+    assert.deepEqual(schema, {
+      type: 'object',
+      properties: { a: { type: 'string' }, b: { type: 'boolean' } },
+      required: ['a', 'b']
+    });
+  });
+  
+  test('arrays without items and missing types are filled in', () => {
+    const { schema, dropped } = sanitizeSchema({
+      properties: { tags: { type: 'array' }, count: { enum: [1, 2] } }
+    });
+    
+    assert.equal(schema.type, 'object');
+    assert.deepEqual(schema.properties.tags, { type: 'array', items: { type: 'string' } });
+    assert.equal(schema.properties.count.type, 'integer');
+    assert.ok(dropped.some(entry => entry.path === '$.tags' && entry.keyword === 'items'));
+  });
+  
+  test('required names without a property are removed', () => {
+    const { schema } = sanitizeSchema({
+      type: 'object',
+      properties: { url: { type: 'string' } },
+      required: ['url', 'missing']
+    });
+    
+    assert.deepEqual(schema.required, ['url']);
+  });
+});
@@ -0,0 +1,64 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskQueue } = require('../src/taskQueue');
+
+describe('TaskQueue', () => {
+  test('orders waiting tasks by priority, then by the time they were added', () => {
+    const queue = new TaskQueue({ concurrency: 1, maxLength: 10 });
+    queue.add('normal-1');
+    queue.add('low-1', 'low');
+    queue.add('high-1', 'high');
+    queue.add('normal-2', 'normal');
+    queue.add('high-2', 'high');
+    
+    assert.deepEqual(queue.getSummary().waiting, ['high-1', 'high-2', 'normal-1', 'normal-2', 'low-1']);
+    assert.equal(queue.position('normal-2'), 4);
+    assert.equal(queue.position('unknown'), null);
+  });
+  
+  test('add returns the position of the new task', () => {
+    const queue = new TaskQueue({ maxLength: 10 });
+    
+    assert.equal(queue.add('a'), 1);
+    assert.equal(queue.add('b', 'low'), 2);
+    assert.equal(queue.add('c', 'high'), 1);
+  });
+  
+  test('take starts at most concurrency tasks until one is released', () => {
+    const queue = new TaskQueue({ concurrency: 2, maxLength: 10 });
+    ['a', 'b', 'c'].forEach(taskId => queue.add(taskId));
+    
+    assert.equal(queue.take(), 'a');
+    assert.equal(queue.take(), 'b');
+    assert.equal(queue.take(), null);
+    assert.deepEqual(queue.getSummary().running, ['a', 'b']);
+    
+    queue.release('a');
+    assert.equal(queue.take(), 'c');
+    assert.equal(queue.take(), null);
+  });
+  
+  test('throws QUEUE_FULL with retryAfter once maxLength tasks wait', () => {
+    const queue = new TaskQueue({ concurrency: 1, maxLength: 2, retryAfter: 45 });
+    queue.add('a');
+    queue.add('b');
+    
+    assert.ok(queue.isFull());
+    assert.throws(() => queue.add('c', 'high'), error => error.code === 'QUEUE_FULL' && error.retryAfter === 45);
+    assert.deepEqual(queue.getSummary().waiting, ['a', 'b']);
+    
+    // Running tasks do not count against the limit
+    queue.take();
+    assert.equal(queue.add('c'), 2);
+  });
+  
+  test('remove takes a waiting task out of the queue', () => {
+    const queue = new TaskQueue({ maxLength: 10 });
+    queue.add('a');
+    queue.add('b');
+    
+    assert.equal(queue.remove('a'), true);
+    assert.equal(queue.remove('a'), false);
+    assert.equal(queue.position('b'), 1);
+  });
+});
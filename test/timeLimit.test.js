@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimeLimit } = require('../src/timeLimit');
+
+const OPTIONS = { code: 'PHASE_TIMEOUT', message: 'Phase ran too long' };
+
+describe('TimeLimit', () => {
+  test('aborts its signal with a TimeoutError once the time runs out', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const limit = new TimeLimit(1000, OPTIONS);
+    
+    t.mock.timers.tick(999);
+    assert.equal(limit.expired, false);
+    
+    t.mock.timers.tick(1);
+    assert.equal(limit.expired, true);
+    assert.equal(limit.remainingMs, 0);
+    assert.equal(limit.signal.reason.name, 'TimeoutError');
+    assert.equal(limit.signal.reason.code, 'PHASE_TIMEOUT');
+    assert.equal(limit.signal.reason.message, 'Phase ran too long');
+  });
+  
+  test('time while stopped does not count', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const limit = new TimeLimit(1000, OPTIONS);
+    
+    t.mock.timers.tick(400);
+    limit.stop();
+    assert.equal(limit.remainingMs, 600);
+    
+    t.mock.timers.tick(5000);
+    assert.equal(limit.expired, false);
+    
+    limit.start();
+    t.mock.timers.tick(599);
+    assert.equal(limit.expired, false);
+    t.mock.timers.tick(1);
+    assert.equal(limit.expired, true);
+  });
+  
+  test('stop and start are safe to repeat', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const limit = new TimeLimit(1000, OPTIONS);
+    
+    limit.start();
+    t.mock.timers.tick(300);
+    limit.stop();
+    limit.stop();
+    assert.equal(limit.remainingMs, 700);
+    
+    limit.start();
+    limit.start();
+    t.mock.timers.tick(700);
+    assert.equal(limit.expired, true);
+    
+    // An expired limit stays expired
+    limit.start();
+    assert.equal(limit.timer, null);
+  });
+  
+  test('a limit of 0 or null never runs out', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    
+    for (const limitMs of [0, null]) {
+      const limit = new TimeLimit(limitMs, OPTIONS);
+      t.mock.timers.tick(1e9);
+      assert.equal(limit.expired, false);
+      assert.equal(limit.limitMs, null);
+    }
+  });
+});
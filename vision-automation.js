@@ -1,19 +1,16 @@
 const { chromium } = require('playwright');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./src/llmProvider');
 const fs = require('fs');
 require('dotenv').config();
 
-// Initialize the Google Generative AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ 
-  model: 'gemini-1.5-flash',
-  generationConfig: {
-    temperature: 0.4,
-    topP: 0.8,
-    topK: 40,
-    maxOutputTokens: 2048,
-  }
-});
+// Initialize the LLM provider (Gemini by default, see LLM_PROVIDER)
+const provider = createProvider();
+const generationConfig = {
+  temperature: 0.4,
+  topP: 0.8,
+  topK: 40,
+  maxOutputTokens: 2048,
+};
 
 // The URL to navigate to
 const url = 'https://www.bluestone.com/jewellery/pendants.html';
@@ -42,9 +39,11 @@ async function analyzeScreenshot(screenshotBase64, prompt) {
     }
   };
   
-  const result = await model.generateContent([prompt, image]);
-  const response = await result.response;
-  const text = response.text();
+  const { text } = await provider.generateContent({
+    model: provider.visionModel,
+    generationConfig,
+    parts: [prompt, image]
+  });
   log(`Gemini response: ${text}`);
   return text;
 }
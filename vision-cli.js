@@ -1,5 +1,5 @@
 const { chromium } = require('playwright');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./src/llmProvider');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
@@ -9,17 +9,14 @@ const args = process.argv.slice(2);
 const url = args[0] || 'https://www.bluestone.com/jewellery/pendants.html';
 const task = args[1] || 'find a product and attempt to buy it';
 
-// Initialize the Google Generative AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ 
-  model: 'gemini-1.5-flash',
-  generationConfig: {
-    temperature: 0.4,
-    topP: 0.8,
-    topK: 40,
-    maxOutputTokens: 2048,
-  }
-});
+// Initialize the LLM provider (Gemini by default, see LLM_PROVIDER)
+const provider = createProvider();
+const generationConfig = {
+  temperature: 0.4,
+  topP: 0.8,
+  topK: 40,
+  maxOutputTokens: 2048,
+};
 
 // Create screenshots directory if it doesn't exist
 const screenshotsDir = path.join(__dirname, 'screenshots');
@@ -46,18 +43,20 @@ async function analyzeScreenshot(screenshotBase64, prompt) {
   try {
     log(`Asking Gemini to analyze screenshot with prompt: ${prompt}`);
     
-    const result = await model.generateContent([
-      prompt,
-      {
-        inlineData: {
-          mimeType: "image/jpeg",
-          data: screenshotBase64
+    const { text } = await provider.generateContent({
+      model: provider.visionModel,
+      generationConfig,
+      parts: [
+        prompt,
+        {
+          inlineData: {
+            mimeType: "image/jpeg",
+            data: screenshotBase64
+          }
         }
-      }
-    ]);
+      ]
+    });
     
-    const response = result.response;
-    const text = response.text();
     log(`Gemini response: ${text}`);
     return text;
   } catch (error) {